@@ -10,6 +10,10 @@
   // Initialize data layer
   window.dataLayer = window.dataLayer || [];
 
+  // cart:updated sources that aren't a change made in this tab: carts
+  // confirmed in another tab, and optimistic changes Shopify rejected
+  const UNTRACKED_CART_SOURCES = ['sync', 'rollback'];
+
   /**
    * Analytics Manager
    */
@@ -247,7 +251,7 @@
       // Listen for cart updates
       document.addEventListener('cart:updated', (e) => {
         const cart = e.detail?.cart;
-        if (cart) {
+        if (cart && !e.detail.optimistic && !UNTRACKED_CART_SOURCES.includes(e.detail.source)) {
           this.push('cart_updated', {
             currency: cart.currency || 'USD',
             value: cart.total_price / 100,
@@ -315,8 +319,7 @@
     }
 
     trackBeginCheckout() {
-      fetch('/cart.js')
-        .then(r => r.json())
+      window.CartStore.load()
         .then(cart => {
           const items = cart.items.map(item => ({
             item_id: item.product_id,
@@ -375,8 +378,10 @@
         const item = e.detail?.item;
         if (item) {
           this.push('add_to_quote', {
-            item_id: item.product_id,
-            item_name: item.title
+            item_id: item.productId,
+            item_variant: item.variantId,
+            item_name: item.title,
+            quantity: item.quantity
           });
         }
       });
@@ -0,0 +1,161 @@
+/**
+ * Cart Discounts
+ * Discount code entry for the cart drawer and cart page
+ *
+ * Works on every [data-cart-discounts] block (snippets/cart-discounts.liquid).
+ * Codes are applied through CartStore; the sections re-render from the
+ * mutation response, so messages are written after the new markup is in.
+ */
+
+(function() {
+  'use strict';
+
+  const MESSAGE_DURATION = 6000;
+
+  class CartDiscounts {
+    constructor() {
+      this.messageTimer = null;
+
+      document.addEventListener('click', (e) => {
+        const applyBtn = e.target.closest('[data-discount-apply]');
+        const removeBtn = e.target.closest('[data-discount-remove]');
+
+        if (applyBtn) {
+          e.preventDefault();
+          const root = applyBtn.closest('[data-cart-discounts]');
+          this.apply(root, root.querySelector('[data-discount-input]').value);
+        }
+
+        if (removeBtn) {
+          e.preventDefault();
+          this.remove(removeBtn.closest('[data-cart-discounts]'), removeBtn.dataset.code);
+        }
+      });
+
+      // Enter applies the code instead of submitting the surrounding cart form
+      document.addEventListener('keydown', (e) => {
+        const input = e.target.closest?.('[data-discount-input]');
+        if (!input || e.key !== 'Enter') return;
+
+        e.preventDefault();
+        this.apply(input.closest('[data-cart-discounts]'), input.value);
+      });
+    }
+
+    /**
+     * Codes currently on the cart, including ones Shopify couldn't apply
+     */
+    getCodes() {
+      const cart = window.CartStore.getState();
+      return (cart?.discount_codes || []).map(discount => discount.code);
+    }
+
+    async apply(root, value) {
+      const context = root.dataset.cartDiscounts;
+      const code = value.trim();
+
+      if (!code) {
+        this.showMessage(context, 'emptyText', code, true);
+        return;
+      }
+
+      const codes = this.getCodes();
+      if (codes.some(existing => existing.toLowerCase() === code.toLowerCase())) {
+        this.showMessage(context, 'duplicateText', code, true);
+        return;
+      }
+
+      this.setBusy(root, true);
+
+      try {
+        const cart = await window.CartStore.setDiscountCodes([...codes, code]);
+        const result = (cart.discount_codes || []).find(discount => discount.code.toLowerCase() === code.toLowerCase());
+
+        if (result?.applicable) {
+          this.showMessage(context, 'appliedText', result.code);
+          return;
+        }
+
+        // Don't leave a code that does nothing on the cart
+        await window.CartStore.setDiscountCodes(codes);
+        this.showMessage(context, 'invalidText', code, true);
+        this.restoreInput(context, code);
+      } catch (error) {
+        this.showMessage(context, null, error.message, true);
+        this.restoreInput(context, code);
+      } finally {
+        this.setBusy(this.getRoot(context), false);
+      }
+    }
+
+    async remove(root, code) {
+      const context = root.dataset.cartDiscounts;
+      this.setBusy(root, true);
+
+      try {
+        await window.CartStore.setDiscountCodes(this.getCodes().filter(existing => existing !== code));
+        this.showMessage(context, 'removedText', code);
+      } catch (error) {
+        this.showMessage(context, null, error.message, true);
+      } finally {
+        this.setBusy(this.getRoot(context), false);
+      }
+    }
+
+    /**
+     * Look the block up again: the section may have re-rendered since
+     */
+    getRoot(context) {
+      return document.querySelector(`[data-cart-discounts="${context}"]`);
+    }
+
+    setBusy(root, busy) {
+      if (!root) return;
+
+      root.querySelectorAll('button, input').forEach(el => { el.disabled = busy; });
+      root.setAttribute('aria-busy', busy);
+    }
+
+    restoreInput(context, code) {
+      const input = this.getRoot(context)?.querySelector('[data-discount-input]');
+      if (input) input.value = code;
+    }
+
+    /**
+     * @param {string} context
+     * @param {string|null} textKey - dataset key of the message template, or null to show `code` as is
+     * @param {string} code
+     * @param {boolean} [isError]
+     */
+    showMessage(context, textKey, code, isError = false) {
+      const root = this.getRoot(context);
+      const messageEl = root?.querySelector('[data-discount-message]');
+      if (!messageEl) return;
+
+      const message = textKey ? root.dataset[textKey].replace('[code]', code) : code;
+
+      messageEl.textContent = message;
+      messageEl.classList.toggle('is-error', isError);
+      messageEl.hidden = false;
+
+      // Collapsed discount panels (cart page) open to show the result
+      const details = root.closest('details');
+      if (details) details.open = true;
+
+      if (typeof window.announceToScreenReader === 'function') {
+        window.announceToScreenReader(message, isError ? 'assertive' : 'polite');
+      }
+
+      clearTimeout(this.messageTimer);
+      this.messageTimer = setTimeout(() => {
+        const current = this.getRoot(context)?.querySelector('[data-discount-message]');
+        if (current) current.hidden = true;
+      }, MESSAGE_DURATION);
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    window.cartDiscounts = new CartDiscounts();
+  });
+
+})();
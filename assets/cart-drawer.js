@@ -6,6 +6,8 @@
 (function() {
   'use strict';
 
+  const SECTION_ID = 'cart-drawer-ajax';
+
   class CartDrawer {
     constructor() {
       this.drawer = document.querySelector('[data-cart-drawer]');
@@ -17,13 +19,18 @@
       this.itemsContainer = this.drawer.querySelector('[data-cart-items]');
       this.emptyState = this.drawer.querySelector('[data-cart-empty]');
       this.countEl = this.drawer.querySelector('[data-cart-count]');
-      this.subtotalEl = this.drawer.querySelector('[data-cart-subtotal]');
+      this.errorEl = this.drawer.querySelector('[data-cart-drawer-error]');
       
       this.isOpen = false;
+      this.refreshScheduled = false;
+      this.refreshToken = 0;
       this.init();
     }
 
     init() {
+      // Have the drawer markup returned with every cart mutation
+      window.CartStore.registerSection(SECTION_ID);
+
       // Open triggers
       document.querySelectorAll('[data-cart-toggle]').forEach(toggle => {
         toggle.addEventListener('click', (e) => {
@@ -67,7 +74,32 @@
         if (e.detail.openDrawer !== false) {
           this.open();
         }
-        this.refresh();
+
+        // Optimistic states and rollbacks are painted locally. Confirmed
+        // states carry the drawer HTML; anything else re-fetches it once the
+        // mutation queue has drained.
+        const html = e.detail.sections?.[SECTION_ID];
+        if (e.detail.optimistic || e.detail.source === 'rollback') {
+          this.renderState(e.detail.cart);
+        } else if (html) {
+          this.refreshToken++;
+          this.renderSection(html);
+        } else {
+          this.scheduleRefresh();
+        }
+      });
+
+      // Rejected changes have already been rolled back by CartStore.
+      // Line errors go on the affected row, anything else above the items.
+      document.addEventListener('cart:error', (e) => {
+        if (e.detail.source !== 'change') return;
+
+        const row = e.detail.key && this.drawer.querySelector(`[data-cart-item][data-key="${e.detail.key}"]`);
+        if (row) {
+          window.CartErrors.showOnLine(row, e.detail.error);
+        } else {
+          this.showError(e.detail.message);
+        }
       });
 
       // Listen for cart open events
@@ -96,7 +128,12 @@
       const item = button.closest('[data-cart-item]');
       const input = item.querySelector('[data-quantity-input]');
       const key = item.dataset.key;
-      const newQuantity = Math.max(0, parseInt(input.value) + change);
+
+      // Read from the store so rapid clicks build on queued changes
+      const line = window.CartStore.findLine(key);
+      const current = line ? line.quantity : parseInt(input.value) || 0;
+      const newQuantity = window.QuantityRules.stepInput(input, change, current);
+      if (newQuantity === current) return;
       
       await this.updateItem(key, newQuantity);
     }
@@ -113,8 +150,11 @@
       const item = button.closest('[data-cart-item]');
       const key = item.dataset.key;
       
-      item.style.opacity = '0.5';
-      await this.updateItem(key, 0);
+      try {
+        await window.Cart.remove(key);
+      } catch (error) {
+        console.error('Error removing item:', error);
+      }
     }
 
     async handleQuickAdd(button) {
@@ -122,9 +162,10 @@
       button.disabled = true;
       
       try {
-        await window.Cart.add(variantId, 1);
+        await window.Cart.add(variantId);
       } catch (error) {
-        console.error('Error adding to cart:', error);
+        this.showError(error.message);
+        window.CartErrors.announce(error.message);
       } finally {
         button.disabled = false;
       }
@@ -132,59 +173,102 @@
 
     async updateItem(key, quantity) {
       try {
-        const response = await fetch('/cart/change.js', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ id: key, quantity })
-        });
-
-        const cart = await response.json();
-        
-        document.dispatchEvent(new CustomEvent('cart:updated', { 
-          detail: { itemCount: cart.item_count, cart: cart, openDrawer: false }
-        }));
-
+        await window.CartStore.change(key, quantity);
       } catch (error) {
         console.error('Error updating cart:', error);
       }
     }
 
+    /**
+     * Apply a cart state to the rendered lines without a server round trip
+     */
+    renderState(cart) {
+      this.drawer.querySelectorAll('[data-cart-item]').forEach(row => {
+        const item = cart.items.find(line => line.key === row.dataset.key);
+        row.hidden = !item;
+        if (!item) return;
+
+        const input = row.querySelector('[data-quantity-input]');
+        if (input) input.value = item.quantity;
+
+        const price = row.querySelector('[data-line-price]');
+        if (price) price.textContent = window.Theme.formatMoney(item.final_line_price);
+      });
+
+      const subtotal = this.drawer.querySelector('[data-cart-subtotal]');
+      if (subtotal) subtotal.textContent = window.Theme.formatMoney(cart.total_price);
+    }
+
+    showError(message) {
+      if (!this.errorEl || !message) return;
+
+      this.errorEl.textContent = message;
+      this.errorEl.hidden = false;
+
+      clearTimeout(this.errorTimer);
+      this.errorTimer = setTimeout(() => {
+        this.errorEl.hidden = true;
+      }, 5000);
+    }
+
+    scheduleRefresh() {
+      if (this.refreshScheduled) return;
+      this.refreshScheduled = true;
+
+      window.CartStore.whenIdle().then(() => {
+        this.refreshScheduled = false;
+        this.refresh();
+      });
+    }
+
     async refresh() {
+      const token = ++this.refreshToken;
+
       try {
-        const response = await fetch('/?section_id=cart-drawer-ajax');
+        const response = await fetch(`/?section_id=${SECTION_ID}`);
         const html = await response.text();
-        
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-        
-        // Update cart items
-        const newItems = doc.querySelector('[data-cart-drawer-body]');
-        if (newItems && this.body) {
-          this.body.innerHTML = newItems.innerHTML;
-        }
-
-        // Update footer
-        const newFooter = doc.querySelector('[data-cart-footer]');
-        if (newFooter && this.footer) {
-          this.footer.innerHTML = newFooter.innerHTML;
-        } else if (!newFooter && this.footer) {
-          this.footer.style.display = 'none';
-        } else if (newFooter && this.footer) {
-          this.footer.style.display = '';
-        }
 
-        // Update count in header
-        const cart = await fetch('/cart.js').then(r => r.json());
-        document.querySelectorAll('[data-cart-count]').forEach(el => {
-          el.textContent = cart.item_count;
-        });
+        // A newer render has happened; its markup wins
+        if (token !== this.refreshToken) return;
 
+        this.renderSection(html);
       } catch (error) {
         console.error('Error refreshing cart:', error);
       }
     }
+
+    /**
+     * Swap in freshly rendered drawer markup
+     */
+    renderSection(html) {
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(html, 'text/html');
+      
+      // Update cart items
+      const newItems = doc.querySelector('[data-cart-drawer-body]');
+      if (newItems && this.body) {
+        this.body.innerHTML = newItems.innerHTML;
+      }
+
+      // Update footer (it is not rendered at all while the cart is empty)
+      const newFooter = doc.querySelector('[data-cart-footer]');
+      if (newFooter && this.footer) {
+        this.footer.innerHTML = newFooter.innerHTML;
+        this.footer.style.display = '';
+      } else if (newFooter && this.body) {
+        this.footer = document.importNode(newFooter, true);
+        this.body.after(this.footer);
+      } else if (this.footer) {
+        this.footer.style.display = 'none';
+      }
+
+      document.dispatchEvent(new CustomEvent('cart:rendered', { detail: { root: this.drawer } }));
+
+      // Re-apply changes queued while the markup was loading
+      if (window.CartStore.isBusy()) {
+        this.renderState(window.CartStore.getState());
+      }
+    }
   }
 
   // Initialize
@@ -0,0 +1,158 @@
+/**
+ * Cart Line Options
+ * Engraving, gift message and gift wrap edited from the cart drawer and
+ * cart page (snippets/cart-line-options.liquid)
+ *
+ * Saving sends the line's whole property set to /cart/change.js by line
+ * number, so the line keeps its place in the cart. Properties the fields
+ * don't cover, hidden ones included, are kept as they are.
+ *
+ * Gift wrap is a product of its own, added as a separate line. The two
+ * lines are linked through hidden properties: the wrapped line carries
+ * _line_id and the wrap carries _gift_wrap_for with the same value. Wrap
+ * lines follow the quantity of the line they wrap and are removed with it.
+ */
+
+(function() {
+  'use strict';
+
+  const LINE_ID = '_line_id';
+  const WRAP_FOR = '_gift_wrap_for';
+
+  class CartLineOptions {
+    constructor() {
+      document.addEventListener('click', (e) => {
+        const saveBtn = e.target.closest('[data-line-options-save]');
+        if (!saveBtn) return;
+
+        e.preventDefault();
+        this.save(saveBtn.closest('[data-line-options]'));
+      });
+
+      // Enter in a text field would otherwise submit the cart form
+      document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' || !e.target.matches('[data-line-options] input[type="text"]')) return;
+
+        e.preventDefault();
+        this.save(e.target.closest('[data-line-options]'));
+      });
+
+      document.addEventListener('cart:updated', (e) => {
+        const { cart, optimistic, source } = e.detail;
+
+        // Other tabs and rollbacks reconcile on their own
+        if (!cart || optimistic || source === 'sync' || source === 'rollback') return;
+        this.reconcile(cart);
+      });
+    }
+
+    /**
+     * Write the fields to the line's properties, then add or remove its
+     * gift wrap
+     * @param {Element} root - [data-line-options]
+     */
+    async save(root) {
+      const key = root.closest('[data-cart-item]')?.dataset.key;
+      if (!key) return;
+
+      this.setBusy(root, true);
+
+      // Line numbers are only reliable once queued changes have landed
+      await window.CartStore.whenIdle();
+
+      const cart = window.CartStore.getState();
+      const index = cart ? cart.items.findIndex(item => item.key === key) : -1;
+      if (index === -1) {
+        this.setBusy(root, false);
+        return;
+      }
+
+      const line = cart.items[index];
+      const properties = { ...line.properties };
+
+      root.querySelectorAll('[data-line-option]').forEach(field => {
+        const value = field.value.trim();
+        if (value) {
+          properties[field.dataset.lineOption] = value;
+        } else {
+          delete properties[field.dataset.lineOption];
+        }
+      });
+
+      const wrapToggle = root.querySelector('[data-line-gift-wrap]');
+      const wrap = this.findWrap(cart, line);
+      const wantsWrap = wrapToggle ? wrapToggle.checked : Boolean(wrap);
+
+      if (wantsWrap && !properties[LINE_ID]) properties[LINE_ID] = this.createId();
+
+      try {
+        if (!this.isSame(line.properties || {}, properties)) {
+          await window.CartStore.change(index + 1, line.quantity, { properties, source: 'line-options' });
+        }
+
+        if (wantsWrap && !wrap) {
+          await window.CartStore.add({
+            id: root.dataset.wrapVariant,
+            quantity: line.quantity,
+            properties: { [WRAP_FOR]: properties[LINE_ID] }
+          }, { openDrawer: false, source: 'line-options' });
+        } else if (!wantsWrap && wrap) {
+          await window.CartStore.change(wrap.key, 0, { source: 'line-options' });
+        }
+
+        window.Toast.show({ message: root.dataset.savedText });
+        window.announceToScreenReader?.(root.dataset.savedText);
+      } catch (error) {
+        window.Toast.show({ message: error.message });
+        window.CartErrors.announce(error.message);
+      } finally {
+        this.setBusy(root, false);
+      }
+    }
+
+    /**
+     * Keep gift wrap lines in step with the lines they wrap
+     * @param {Object} cart
+     */
+    reconcile(cart) {
+      cart.items.forEach(item => {
+        const parentId = item.properties?.[WRAP_FOR];
+        if (!parentId) return;
+
+        const parent = cart.items.find(line => line.properties?.[LINE_ID] === parentId);
+        const quantity = parent ? parent.quantity : 0;
+
+        if (item.quantity !== quantity) {
+          window.CartStore.change(item.key, quantity, { source: 'line-options' }).catch(() => {});
+        }
+      });
+    }
+
+    findWrap(cart, line) {
+      const lineId = line.properties?.[LINE_ID];
+      if (!lineId) return null;
+
+      return cart.items.find(item => item.properties?.[WRAP_FOR] === lineId) || null;
+    }
+
+    createId() {
+      return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    isSame(a, b) {
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length && keys.every(name => a[name] === b[name]);
+    }
+
+    setBusy(root, busy) {
+      const button = root.querySelector('[data-line-options-save]');
+      if (button) button.disabled = busy;
+      root.setAttribute('aria-busy', busy);
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    window.CartLineOptions = new CartLineOptions();
+  });
+
+})();
@@ -0,0 +1,101 @@
+/**
+ * Cart Progress
+ * Free shipping and reward tier progress for the cart drawer and cart page
+ *
+ * Renders every [data-cart-progress] element (snippets/cart-progress.liquid)
+ * from the cart total. Tier thresholds are set in shop currency and
+ * converted with Shopify's presentment currency rate, so customers shopping
+ * in another currency see amounts in their own.
+ *
+ * Listens for:
+ * - cart:updated   Re-render with the new cart
+ * - cart:rendered  Render progress inside freshly swapped section markup
+ */
+
+(function() {
+  'use strict';
+
+  class CartProgress {
+    constructor() {
+      document.addEventListener('cart:updated', (e) => {
+        this.renderAll(document, e.detail.cart);
+      });
+
+      document.addEventListener('cart:rendered', (e) => {
+        this.renderAll(e.detail.root || document, window.CartStore.getState());
+      });
+
+      this.renderAll(document, window.CartStore.getState());
+    }
+
+    /**
+     * Presentment currency units per unit of shop currency
+     */
+    getRate() {
+      return parseFloat(window.Shopify?.currency?.rate) || 1;
+    }
+
+    /**
+     * Tiers in presentment currency, lowest first
+     * @param {HTMLElement} el - [data-cart-progress]
+     */
+    getTiers(el) {
+      const rate = this.getRate();
+
+      return [...el.querySelectorAll('[data-cart-progress-tier]')]
+        .map(node => ({
+          node,
+          label: node.dataset.label,
+          threshold: Math.ceil(parseInt(node.dataset.threshold, 10) * rate)
+        }))
+        .filter(tier => tier.threshold > 0)
+        .sort((a, b) => a.threshold - b.threshold);
+    }
+
+    renderAll(root, cart) {
+      if (!cart) return;
+      root.querySelectorAll('[data-cart-progress]').forEach(el => this.render(el, cart));
+    }
+
+    render(el, cart) {
+      const tiers = this.getTiers(el);
+      if (tiers.length === 0 || cart.item_count === 0) {
+        el.hidden = true;
+        return;
+      }
+
+      const total = cart.total_price;
+      const max = tiers[tiers.length - 1].threshold;
+      const next = tiers.find(tier => total < tier.threshold);
+      const percent = Math.min(100, Math.round((total / max) * 100));
+
+      tiers.forEach(tier => {
+        tier.node.style.left = `${(tier.threshold / max) * 100}%`;
+        tier.node.classList.toggle('is-reached', total >= tier.threshold);
+      });
+
+      const fill = el.querySelector('[data-cart-progress-fill]');
+      if (fill) fill.style.width = `${percent}%`;
+
+      const bar = el.querySelector('[data-cart-progress-bar]');
+      if (bar) bar.setAttribute('aria-valuenow', percent);
+
+      const message = el.querySelector('[data-cart-progress-message]');
+      if (message) {
+        message.textContent = next
+          ? el.dataset.remainingText
+            .replace('[amount]', window.Theme.formatMoney(next.threshold - total))
+            .replace('[reward]', next.label)
+          : el.dataset.completeText.replace('[reward]', tiers[tiers.length - 1].label);
+      }
+
+      el.classList.toggle('is-complete', !next);
+      el.hidden = false;
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    window.cartProgress = new CartProgress();
+  });
+
+})();
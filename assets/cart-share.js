@@ -0,0 +1,253 @@
+/**
+ * Cart Share
+ * Shareable cart links and restoring a cart from one
+ *
+ * Share links carry the cart's variants, quantities, line properties and
+ * selling plans in a `shared_cart` query parameter (base64url JSON). When a
+ * page loads with one, the customer confirms whether to replace their cart
+ * or add the items to it. Replacing adds the shared items first and only
+ * then takes out the earlier lines, so a link whose items can't be added
+ * leaves the cart as it was.
+ *
+ * Shopify's /cart/{variant}:{qty} permalink is offered as an export too; it
+ * goes straight to checkout but can't carry line properties.
+ */
+
+(function() {
+  'use strict';
+
+  const PARAM = 'shared_cart';
+
+  // Bytes per String.fromCharCode call when encoding. Spreading a large
+  // cart's bytes in one call exceeds the engine's argument limit.
+  const ENCODE_CHUNK = 8192;
+
+  /**
+   * Encode cart lines as [variantId, quantity, properties, sellingPlan]
+   * @param {Object} cart - Cart JSON
+   * @returns {string} base64url
+   */
+  function encode(cart) {
+    const lines = cart.items.map(item => {
+      const properties = item.properties && Object.keys(item.properties).length > 0 ? item.properties : 0;
+      const plan = item.selling_plan_allocation?.selling_plan.id || 0;
+      return [item.variant_id, item.quantity, properties, plan];
+    });
+
+    const bytes = new TextEncoder().encode(JSON.stringify(lines));
+
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += ENCODE_CHUNK) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + ENCODE_CHUNK));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Decode a share parameter into Cart API items
+   * @returns {Object[]|null} Null when the value is malformed
+   */
+  function decode(value) {
+    try {
+      const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+      const lines = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+
+      const items = lines
+        .filter(line => Array.isArray(line) && Number.isInteger(line[0]) && line[1] > 0)
+        .map(([id, quantity, properties, plan]) => {
+          const item = { id, quantity: parseInt(quantity, 10) };
+          if (properties && typeof properties === 'object') item.properties = properties;
+          if (plan) item.selling_plan = plan;
+          return item;
+        });
+
+      return items.length > 0 ? items : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  class CartShare {
+    constructor() {
+      this.dialog = document.querySelector('[data-cart-share-dialog]');
+
+      // toggle doesn't bubble, so listen in the capture phase
+      document.addEventListener('toggle', (e) => {
+        if (e.target.matches?.('[data-cart-share]') && e.target.open) this.fill(e.target);
+      }, true);
+
+      document.addEventListener('click', (e) => {
+        const copyBtn = e.target.closest('[data-cart-share-copy]');
+        if (copyBtn) this.copy(copyBtn);
+      });
+
+      this.checkUrl();
+    }
+
+    getRoot() {
+      return window.Shopify?.routes?.root || '/';
+    }
+
+    /**
+     * Link that rebuilds the cart on this store
+     */
+    getShareUrl(cart) {
+      const url = new URL(`${this.getRoot()}cart`, window.location.origin);
+      url.searchParams.set(PARAM, encode(cart));
+      return url.toString();
+    }
+
+    /**
+     * Shopify cart permalink (variants and quantities only)
+     */
+    getPermalink(cart) {
+      const lines = cart.items.map(item => `${item.variant_id}:${item.quantity}`).join(',');
+      return new URL(`${this.getRoot()}cart/${lines}`, window.location.origin).toString();
+    }
+
+    fill(details) {
+      const cart = window.CartStore.getState();
+      if (!cart || cart.items.length === 0) return;
+
+      details.querySelector('[data-cart-share-link]').value = this.getShareUrl(cart);
+      details.querySelector('[data-cart-share-permalink]').value = this.getPermalink(cart);
+
+      const note = details.querySelector('[data-cart-share-note]');
+      if (note) {
+        note.hidden = !cart.items.some(item => item.properties && Object.keys(item.properties).length > 0);
+      }
+    }
+
+    async copy(button) {
+      const input = button.closest('[data-cart-share]').querySelector(`[data-cart-share-${button.dataset.cartShareCopy}]`);
+      const label = button.textContent;
+
+      try {
+        await navigator.clipboard.writeText(input.value);
+      } catch (error) {
+        // Clipboard API unavailable: leave the link selected for manual copying
+        input.select();
+        return;
+      }
+
+      button.textContent = button.dataset.copiedLabel;
+      window.announceToScreenReader?.(button.dataset.copiedLabel);
+      setTimeout(() => { button.textContent = label; }, 2000);
+    }
+
+    /**
+     * Offer to restore a cart from the page URL
+     */
+    async checkUrl() {
+      const params = new URLSearchParams(window.location.search);
+      const value = params.get(PARAM);
+      if (!value || !this.dialog) return;
+
+      // Don't offer it again on reload or back navigation
+      params.delete(PARAM);
+      const query = params.toString();
+      window.history.replaceState(window.history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+      const items = decode(value);
+      if (!items) {
+        window.Toast.show({ message: this.dialog.dataset.invalidText });
+        return;
+      }
+
+      const cart = await window.CartStore.load().catch(() => null);
+      const choice = await this.confirm(items, cart?.item_count > 0);
+      if (choice === 'cancel') return;
+
+      try {
+        const added = await this.restore(items);
+        if (choice === 'replace' && added > 0) await this.removeLines(cart.items);
+      } catch (error) {
+        window.Toast.show({ message: error.message });
+        window.CartErrors.announce(error.message);
+      }
+    }
+
+    /**
+     * Ask how to apply the shared items
+     * @param {Object[]} items
+     * @param {boolean} hasCart - Whether the customer's cart has items
+     * @returns {Promise<'replace'|'merge'|'cancel'>}
+     */
+    confirm(items, hasCart) {
+      const units = items.reduce((sum, item) => sum + item.quantity, 0);
+
+      this.dialog.querySelector('[data-cart-share-summary]').textContent = this.dialog.dataset.summaryText
+        .replace('[count]', units);
+      this.dialog.querySelector('[data-cart-share-choice="replace"]').hidden = !hasCart;
+
+      return new Promise(resolve => {
+        const onClick = (e) => {
+          const button = e.target.closest('[data-cart-share-choice]');
+          if (button) this.dialog.close(button.dataset.cartShareChoice);
+        };
+
+        this.dialog.addEventListener('click', onClick);
+        this.dialog.addEventListener('close', () => {
+          this.dialog.removeEventListener('click', onClick);
+          resolve(this.dialog.returnValue || 'cancel');
+        }, { once: true });
+
+        this.dialog.returnValue = '';
+        this.dialog.showModal();
+      });
+    }
+
+    /**
+     * Add the shared items in one request, falling back to one at a time
+     * so a single sold-out variant doesn't block the rest
+     * @returns {Promise<number>} How many of the items were added
+     */
+    async restore(items) {
+      try {
+        await window.CartStore.add(items);
+        return items.length;
+      } catch (error) {
+        if (items.length === 1) throw error;
+      }
+
+      const failed = [];
+      for (const item of items) {
+        try {
+          await window.CartStore.add(item, { openDrawer: false });
+        } catch (error) {
+          failed.push(item);
+        }
+      }
+
+      if (failed.length < items.length) document.dispatchEvent(new CustomEvent('cart:open'));
+      if (failed.length > 0) {
+        const message = this.dialog.dataset.partialText.replace('[count]', failed.length);
+        window.Toast.show({ message });
+        window.CartErrors.announce(message);
+      }
+
+      return items.length - failed.length;
+    }
+
+    /**
+     * Take out the lines the cart had before the shared items were added.
+     * A shared item matching one of them was added to that line, so only
+     * the earlier quantity comes off it.
+     * @param {Object[]} lines - Line items from the cart JSON
+     */
+    async removeLines(lines) {
+      const updates = {};
+      lines.forEach(line => {
+        const current = window.CartStore.findLine(line.key);
+        if (current) updates[line.key] = Math.max(current.quantity - line.quantity, 0);
+      });
+
+      if (Object.keys(updates).length > 0) await window.CartStore.update({ updates });
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    window.cartShare = new CartShare();
+  });
+
+})();
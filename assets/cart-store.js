@@ -0,0 +1,474 @@
+/**
+ * Cart Store
+ * Single client for the Shopify AJAX Cart API
+ *
+ * Every /cart/*.js request goes through this module. It keeps the latest
+ * cart object as shared state and notifies subscribers after each change.
+ *
+ * Mutations run one at a time through a queue. Line changes still waiting
+ * in the queue are coalesced per line key, and their effect is applied to
+ * the state straight away (optimistic). If Shopify rejects a change, the
+ * state rolls back to the last confirmed cart.
+ *
+ * Confirmed carts are shared with other open tabs through TabSync, which
+ * then apply them as source 'sync'.
+ *
+ * Components register the sections they render from cart data. Those
+ * sections are requested with each mutation (Shopify's bundled section
+ * rendering), so the HTML arrives in the same response as the cart.
+ *
+ * Events (dispatched on document):
+ * - cart:updated  { cart, itemCount, source, openDrawer, optimistic, sections }
+ * - cart:add      { item, cart }
+ * - cart:remove   { item, cart }
+ * - cart:error    { message, source, key, variantId, available, error }
+ *
+ * Listens for:
+ * - cart:refresh  Re-fetch /cart.js and broadcast the result
+ */
+
+(function() {
+  'use strict';
+
+  // Shopify renders at most five sections per request
+  const MAX_SECTIONS = 5;
+
+  const ROUTES = {
+    cart: '/cart.js',
+    add: '/cart/add.js',
+    change: '/cart/change.js',
+    update: '/cart/update.js',
+    clear: '/cart/clear.js'
+  };
+
+  /**
+   * Error returned by the Cart API, usually a 422 for stock or quantity limits
+   */
+  class CartError extends Error {
+    constructor(data = {}, status) {
+      super(data.description || data.message || 'There was a problem updating your cart.');
+      this.name = 'CartError';
+      this.status = status;
+      this.available = CartError.parseAvailable(this.message);
+    }
+
+    /**
+     * Read the available quantity from Shopify's description, e.g.
+     * "You can only add 5 of Fluiball to your cart." or
+     * "All 5 Fluiball - 6kg are in your cart."
+     * @returns {number|null} Null when the message doesn't say
+     */
+    static parseAvailable(message) {
+      if (/sold out/i.test(message)) return 0;
+
+      const match = message.match(/only (?:add |have )?(\d+)/i) || message.match(/all (\d+)/i);
+      return match ? parseInt(match[1], 10) : null;
+    }
+  }
+
+  class CartStore {
+    constructor() {
+      this.state = this.readInitialState();
+      this.confirmed = this.state;
+      this.subscribers = new Set();
+      this.sections = new Set();
+
+      // Mutation queue
+      this.queue = Promise.resolve();
+      this.queued = 0;
+      this.pending = new Map();
+      this.sending = null;
+
+      document.addEventListener('cart:refresh', () => {
+        this.refresh().catch(() => {});
+      });
+
+      // Carts confirmed in other tabs
+      window.TabSync?.subscribe('cart', (cart) => {
+        this.confirm(cart, { source: 'sync', openDrawer: false });
+      });
+    }
+
+    /**
+     * Seed state from the cart JSON rendered by the layout
+     */
+    readInitialState() {
+      const script = document.querySelector('[data-cart-json]');
+      if (!script) return null;
+
+      try {
+        return JSON.parse(script.textContent);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    /**
+     * Current cart object, including optimistic changes not yet confirmed
+     * (null if the layout did not render one and no request has resolved yet)
+     */
+    getState() {
+      return this.state;
+    }
+
+    /**
+     * Whether any mutation is queued or in flight
+     */
+    isBusy() {
+      return this.queued > 0;
+    }
+
+    /**
+     * Resolve once the mutation queue has drained
+     */
+    async whenIdle() {
+      while (this.queued > 0) {
+        await this.queue;
+      }
+    }
+
+    /**
+     * Register a callback for state changes
+     * @param {Function} callback - Receives (cart, meta)
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(callback) {
+      this.subscribers.add(callback);
+      return () => this.subscribers.delete(callback);
+    }
+
+    /**
+     * Request a section's HTML with every mutation
+     * @param {string} id - Section id (static id or {{ section.id }})
+     */
+    registerSection(id) {
+      if (id) this.sections.add(id);
+    }
+
+    /**
+     * Resolve with the known cart, fetching it only if there is none yet
+     */
+    async load() {
+      return this.state || this.refresh();
+    }
+
+    /**
+     * Fetch the cart and broadcast it
+     */
+    async refresh(options = {}) {
+      return this.enqueue(async () => {
+        const cart = await this.request(ROUTES.cart);
+        return this.confirm(cart, { source: 'refresh', openDrawer: false, ...options });
+      });
+    }
+
+    /**
+     * Add one or more items
+     * @param {Object|Object[]|FormData} items - { id, quantity, properties, selling_plan }
+     */
+    async add(items, options = {}) {
+      let body;
+      if (items instanceof FormData) {
+        body = items;
+      } else {
+        body = { items: (Array.isArray(items) ? items : [items]).map(item => ({
+          ...item,
+          quantity: parseInt(item.quantity, 10) || 1
+        })) };
+      }
+
+      return this.enqueue(async () => {
+        const response = await this.request(ROUTES.add, this.withSections(body));
+        const added = response.items || [response];
+        const cart = await this.request(ROUTES.cart);
+
+        this.confirm(cart, {
+          source: 'add',
+          openDrawer: true,
+          ...options,
+          sections: response.sections
+        });
+        added.forEach(item => this.emit('cart:add', { item, cart }));
+
+        return cart;
+      }).catch(error => this.fail(error, {
+        source: 'add',
+        variantId: body instanceof FormData ? body.get('id') : body.items[0]?.id
+      }));
+    }
+
+    /**
+     * Change a single line by key (or 1-based line index)
+     *
+     * Calls for a line that is still waiting in the queue are merged into
+     * that request, so only the latest quantity is sent.
+     *
+     * @param {string|number} id - Line item key, or line number
+     * @param {number} [quantity] - Omit to leave the quantity unchanged
+     * @param {Object} [options] - { properties, openDrawer }
+     */
+    async change(id, quantity, options = {}) {
+      const key = typeof id === 'number' ? `line:${id}` : id;
+      const { properties, ...meta } = options;
+
+      let entry = this.pending.get(key);
+      if (!entry) {
+        entry = {
+          id,
+          body: typeof id === 'number' ? { line: id } : { id },
+          meta: {}
+        };
+        this.pending.set(key, entry);
+
+        entry.promise = this.enqueue(async () => {
+          this.pending.delete(key);
+          this.sending = entry;
+
+          const previous = this.findLine(id, this.confirmed);
+          let response;
+          try {
+            response = await this.request(ROUTES.change, this.withSections(entry.body));
+          } finally {
+            this.sending = null;
+          }
+
+          const { sections, ...cart } = response;
+
+          this.confirm(cart, {
+            source: 'change',
+            openDrawer: false,
+            ...entry.meta,
+            sections
+          });
+          if (previous && entry.body.quantity === 0) {
+            this.emit('cart:remove', { item: previous, cart });
+          }
+
+          return cart;
+        }).catch(error => this.fail(error, {
+          source: 'change',
+          key: typeof id === 'number' ? undefined : id,
+          variantId: this.findLine(id, this.confirmed)?.variant_id
+        }));
+      }
+
+      if (quantity !== undefined) entry.body.quantity = Math.max(0, parseInt(quantity, 10) || 0);
+      if (properties) entry.body.properties = properties;
+      Object.assign(entry.meta, meta);
+
+      if (this.confirmed) {
+        this.setState(this.withPending(this.confirmed), {
+          source: 'change',
+          openDrawer: false,
+          ...entry.meta,
+          optimistic: true
+        });
+      }
+
+      return entry.promise;
+    }
+
+    /**
+     * Bulk update quantities, note or attributes
+     * @param {Object} payload - { updates, note, attributes }
+     */
+    async update(payload, options = {}) {
+      return this.enqueue(async () => {
+        const { sections, ...cart } = await this.request(ROUTES.update, this.withSections(payload));
+        return this.confirm(cart, { source: 'update', openDrawer: false, ...options, sections });
+      }).catch(error => this.fail(error, { source: 'update' }));
+    }
+
+    /**
+     * Replace the discount codes on the cart. Shopify keeps codes it can't
+     * apply, flagged in cart.discount_codes with applicable: false.
+     * @param {string[]} codes - An empty array removes every code
+     */
+    async setDiscountCodes(codes, options = {}) {
+      return this.update({ discount: codes.join(',') }, { source: 'discount', ...options });
+    }
+
+    /**
+     * Remove every line from the cart
+     */
+    async clear(options = {}) {
+      return this.enqueue(async () => {
+        const { sections, ...cart } = await this.request(ROUTES.clear, this.withSections({}));
+        return this.confirm(cart, { source: 'clear', openDrawer: false, ...options, sections });
+      }).catch(error => this.fail(error, { source: 'clear' }));
+    }
+
+    /**
+     * Look up a line by key or line number
+     * @param {string|number} id
+     * @param {Object} [cart] - Defaults to the current state
+     */
+    findLine(id, cart = this.state) {
+      if (!cart) return null;
+      if (typeof id === 'number') return cart.items[id - 1] || null;
+      return cart.items.find(item => item.key === id) || null;
+    }
+
+    /**
+     * Add the registered section ids to a request body
+     */
+    withSections(body) {
+      if (this.sections.size === 0) return body;
+
+      const ids = [...this.sections].slice(0, MAX_SECTIONS);
+      const url = window.location.pathname;
+
+      if (body instanceof FormData) {
+        body.set('sections', ids.join(','));
+        body.set('sections_url', url);
+        return body;
+      }
+
+      return { ...body, sections: ids, sections_url: url };
+    }
+
+    /**
+     * Run a task once every earlier mutation has settled
+     */
+    enqueue(task) {
+      this.queued++;
+
+      const run = this.queue.then(task).finally(() => {
+        this.queued--;
+      });
+
+      this.queue = run.catch(() => {});
+      return run;
+    }
+
+    /**
+     * Record a server-confirmed cart, keeping changes still in the queue,
+     * and share it with other tabs
+     */
+    confirm(cart, meta) {
+      this.confirmed = cart;
+      this.setState(this.withPending(cart), meta);
+
+      if (meta.source !== 'sync') {
+        window.TabSync?.publish('cart', cart);
+      }
+
+      return cart;
+    }
+
+    /**
+     * Roll back to the last confirmed cart and report the error
+     * @param {Error} error
+     * @param {Object} meta - { source, key, variantId } of the failed request
+     */
+    fail(error, meta = {}) {
+      Object.assign(error, meta);
+
+      if (this.confirmed) {
+        this.setState(this.withPending(this.confirmed), {
+          source: 'rollback',
+          openDrawer: false,
+          error
+        });
+      }
+
+      this.emit('cart:error', {
+        message: error.message,
+        source: meta.source,
+        key: meta.key,
+        variantId: meta.variantId,
+        available: error.available ?? null,
+        error
+      });
+
+      throw error;
+    }
+
+    /**
+     * Copy of a cart with the in-flight and queued line changes applied
+     */
+    withPending(cart) {
+      const entries = [this.sending, ...this.pending.values()].filter(Boolean);
+      if (!cart || entries.length === 0) return cart;
+
+      const next = { ...cart, items: cart.items.map(item => ({ ...item })) };
+
+      entries.forEach(({ id, body }) => {
+        if (body.quantity === undefined) return;
+
+        const item = this.findLine(id, next);
+        if (!item) return;
+
+        const lineDelta = item.final_price * body.quantity - item.final_line_price;
+        next.item_count += body.quantity - item.quantity;
+        next.total_price += lineDelta;
+        next.items_subtotal_price += lineDelta;
+
+        item.quantity = body.quantity;
+        item.line_price = item.price * body.quantity;
+        item.original_line_price = item.original_price * body.quantity;
+        item.final_line_price = item.final_price * body.quantity;
+      });
+
+      next.items = next.items.filter(item => item.quantity > 0);
+      return next;
+    }
+
+    /**
+     * Store a new cart, notify subscribers and dispatch cart:updated
+     */
+    setState(cart, meta = {}) {
+      this.state = cart;
+
+      this.subscribers.forEach(callback => {
+        try {
+          callback(cart, meta);
+        } catch (error) {
+          console.error('Cart subscriber error:', error);
+        }
+      });
+
+      this.emit('cart:updated', {
+        cart,
+        itemCount: cart.item_count,
+        source: meta.source,
+        openDrawer: meta.openDrawer,
+        optimistic: meta.optimistic === true,
+        sections: meta.sections || null
+      });
+
+      return cart;
+    }
+
+    emit(name, detail) {
+      document.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+
+    async request(url, body) {
+      const options = { headers: { 'Accept': 'application/json' } };
+
+      if (body !== undefined) {
+        options.method = 'POST';
+        if (body instanceof FormData) {
+          options.body = body;
+        } else {
+          options.headers['Content-Type'] = 'application/json';
+          options.body = JSON.stringify(body);
+        }
+      }
+
+      const response = await fetch(url, options);
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new CartError(data, response.status);
+      }
+
+      return data;
+    }
+  }
+
+  window.CartStore = new CartStore();
+  window.CartError = CartError;
+
+})();
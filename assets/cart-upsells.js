@@ -0,0 +1,200 @@
+/**
+ * Cart Upsells
+ * Rules-based upsells for the cart drawer (snippets/cart-upsells.liquid)
+ *
+ * Suggestions are picked in this order:
+ * 1. Merchant rules from theme settings, one per line:
+ *      fluiball: fluikettle, reax-chain
+ *    (when a product handle is in the cart, suggest the listed handles)
+ * 2. Shopify's complementary recommendations for each product in the cart
+ *
+ * Products already in the cart or sold out are skipped. Lookups are cached
+ * for the page view, so re-rendering after each cart change is cheap.
+ */
+
+(function() {
+  'use strict';
+
+  // Recommendations are requested for the most recently added products only
+  const MAX_SOURCE_PRODUCTS = 3;
+
+  class CartUpsells {
+    constructor() {
+      this.recommendations = new Map();
+      this.products = new Map();
+      this.suggestions = [];
+      this.token = 0;
+
+      document.addEventListener('cart:updated', (e) => {
+        if (e.detail.optimistic) return;
+        this.update(e.detail.cart);
+      });
+
+      // The drawer swapped its markup: repaint the last suggestions into it
+      document.addEventListener('cart:rendered', () => this.render());
+
+      document.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-upsell-add]');
+        if (button) this.add(button);
+      });
+
+      this.update(window.CartStore.getState());
+    }
+
+    getRoot() {
+      return document.querySelector('[data-cart-upsells]');
+    }
+
+    /**
+     * Parse "trigger: suggestion, suggestion" lines into [trigger, handles[]]
+     */
+    parseRules(text) {
+      return (text || '')
+        .split('\n')
+        .map(line => line.split(':'))
+        .filter(parts => parts.length === 2)
+        .map(([trigger, suggestions]) => [
+          trigger.trim().toLowerCase(),
+          suggestions.split(',').map(handle => handle.trim().toLowerCase()).filter(Boolean)
+        ])
+        .filter(([trigger, handles]) => trigger && handles.length > 0);
+    }
+
+    async update(cart) {
+      const root = this.getRoot();
+      if (!root || !cart) return;
+
+      const token = ++this.token;
+      const limit = parseInt(root.dataset.limit, 10) || 3;
+      const inCart = new Set(cart.items.map(item => item.product_id));
+      const handles = new Set(cart.items.map(item => item.handle));
+
+      // Newest lines come first in the cart
+      const sourceIds = [...inCart].slice(0, MAX_SOURCE_PRODUCTS);
+
+      const ruleHandles = this.parseRules(root.dataset.rules)
+        .filter(([trigger]) => handles.has(trigger))
+        .flatMap(([, suggestions]) => suggestions);
+
+      try {
+        const [ruleProducts, recommended] = await Promise.all([
+          Promise.all(ruleHandles.map(handle => this.fetchProduct(handle))),
+          Promise.all(sourceIds.map(id => this.fetchRecommendations(id, root.dataset.url)))
+        ]);
+
+        if (token !== this.token) return;
+
+        const seen = new Set();
+        this.suggestions = [...ruleProducts, ...recommended.flat()]
+          .filter(product => {
+            if (!product || !product.available || inCart.has(product.id) || seen.has(product.id)) return false;
+            seen.add(product.id);
+            return true;
+          })
+          .slice(0, limit);
+      } catch (error) {
+        console.error('Error loading upsells:', error);
+        this.suggestions = [];
+      }
+
+      this.render();
+    }
+
+    /**
+     * Product JSON by handle (null if it doesn't exist)
+     */
+    fetchProduct(handle) {
+      if (!this.products.has(handle)) {
+        this.products.set(handle, fetch(`/products/${encodeURIComponent(handle)}.js`)
+          .then(response => response.ok ? response.json() : null)
+          .catch(() => null));
+      }
+
+      return this.products.get(handle);
+    }
+
+    /**
+     * Complementary products for a product id
+     */
+    fetchRecommendations(productId, url) {
+      if (!this.recommendations.has(productId)) {
+        const params = new URLSearchParams({ product_id: productId, intent: 'complementary', limit: 6 });
+
+        this.recommendations.set(productId, fetch(`${url}?${params}`)
+          .then(response => response.ok ? response.json() : { products: [] })
+          .then(data => data.products || [])
+          .catch(() => []));
+      }
+
+      return this.recommendations.get(productId);
+    }
+
+    render() {
+      const root = this.getRoot();
+      if (!root) return;
+
+      const list = root.querySelector('[data-cart-upsells-list]');
+      list.innerHTML = '';
+
+      this.suggestions.forEach(product => {
+        const variant = product.variants.find(v => v.available) || product.variants[0];
+        const item = document.createElement('li');
+        item.className = 'cart-upsell';
+        item.innerHTML = `
+          <a class="cart-upsell__image-link">
+            <img class="cart-upsell__image" width="50" height="50" loading="lazy" alt="">
+          </a>
+          <div class="cart-upsell__details">
+            <a class="cart-upsell__title"></a>
+            <span class="cart-upsell__price"></span>
+          </div>
+          <button type="button" class="cart-upsell__add" data-upsell-add>
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+              <line x1="12" y1="5" x2="12" y2="19"></line>
+              <line x1="5" y1="12" x2="19" y2="12"></line>
+            </svg>
+          </button>
+        `;
+
+        item.querySelectorAll('a').forEach(link => { link.href = product.url; });
+        item.querySelector('.cart-upsell__image-link').setAttribute('tabindex', '-1');
+
+        const image = item.querySelector('img');
+        if (product.featured_image) {
+          image.src = `${product.featured_image}${product.featured_image.includes('?') ? '&' : '?'}width=100`;
+        } else {
+          image.remove();
+        }
+
+        item.querySelector('.cart-upsell__title').textContent = product.title;
+        item.querySelector('.cart-upsell__price').textContent = window.Theme.formatMoney(variant.price);
+
+        const button = item.querySelector('[data-upsell-add]');
+        button.dataset.variantId = variant.id;
+        button.setAttribute('aria-label', `${root.dataset.addLabel}: ${product.title}`);
+
+        list.appendChild(item);
+      });
+
+      root.hidden = this.suggestions.length === 0;
+    }
+
+    async add(button) {
+      button.disabled = true;
+
+      try {
+        await window.Cart.add(button.dataset.variantId);
+      } catch (error) {
+        window.Toast.show({ message: error.message });
+        window.CartErrors.announce(error.message);
+      } finally {
+        button.disabled = false;
+      }
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    window.cartUpsells = new CartUpsells();
+  });
+
+})();
@@ -51,11 +51,26 @@
       }
     },
 
-    // Format money
-    formatMoney(cents, format) {
+    // Format money with the store's money format for the active currency
+    formatMoney(cents, format = window.moneyFormat) {
       if (typeof cents === 'string') cents = cents.replace('.', '');
-      const value = (cents / 100).toFixed(2);
-      return format ? format.replace('{{amount}}', value) : `$${value}`;
+      cents = parseInt(cents, 10) || 0;
+      if (!format) return `$${(cents / 100).toFixed(2)}`;
+
+      const withDelimiters = (precision, thousands = ',', decimal = '.') => {
+        const [whole, fraction] = (cents / 100).toFixed(precision).split('.');
+        return whole.replace(/\B(?=(\d{3})+(?!\d))/g, thousands) + (fraction ? decimal + fraction : '');
+      };
+
+      return format.replace(/\{\{\s*(\w+)\s*\}\}/, (match, placeholder) => {
+        switch (placeholder) {
+          case 'amount_no_decimals': return withDelimiters(0);
+          case 'amount_with_comma_separator': return withDelimiters(2, '.', ',');
+          case 'amount_no_decimals_with_comma_separator': return withDelimiters(0, '.', ',');
+          case 'amount_with_apostrophe_separator': return withDelimiters(2, "'");
+          default: return withDelimiters(2);
+        }
+      });
     },
 
     // Trap focus within element (for modals/drawers)
@@ -84,6 +99,72 @@
     }
   };
 
+  // ==========================================================================
+  // TOAST
+  // ==========================================================================
+
+  class Toast {
+    /**
+     * Show a short message with an optional action button
+     * @param {Object} options - { message, action: { label, onClick }, duration }
+     * @returns {{ dismiss: Function }}
+     */
+    static show({ message, action, duration = 5000 }) {
+      const toast = document.createElement('div');
+      toast.className = 'toast';
+
+      const text = document.createElement('span');
+      text.className = 'toast__message';
+      text.textContent = message;
+      toast.appendChild(text);
+
+      let timer;
+      const dismiss = () => {
+        clearTimeout(timer);
+        toast.remove();
+      };
+      const start = () => {
+        clearTimeout(timer);
+        timer = setTimeout(dismiss, duration);
+      };
+
+      if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toast__action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+          dismiss();
+          action.onClick();
+        });
+        toast.appendChild(button);
+      }
+
+      // Hold the toast while it is hovered or focused
+      toast.addEventListener('mouseenter', () => clearTimeout(timer));
+      toast.addEventListener('mouseleave', start);
+      toast.addEventListener('focusin', () => clearTimeout(timer));
+      toast.addEventListener('focusout', start);
+
+      Toast.getRegion().appendChild(toast);
+      start();
+
+      return { dismiss };
+    }
+
+    static getRegion() {
+      let region = document.querySelector('[data-toast-region]');
+      if (!region) {
+        region = document.createElement('div');
+        region.className = 'toast-region';
+        region.setAttribute('data-toast-region', '');
+        region.setAttribute('aria-live', 'polite');
+        document.body.appendChild(region);
+      }
+      return region;
+    }
+  }
+
   // ==========================================================================
   // HEADER
   // ==========================================================================
@@ -259,9 +340,12 @@
   }
 
   // ==========================================================================
-  // CART (Basic cart count update)
+  // CART (Basic cart count update, mutations go through CartStore)
   // ==========================================================================
 
+  // How long a removed line can be restored from its toast
+  const UNDO_DURATION = 6000;
+
   class Cart {
     constructor() {
       this.countElements = document.querySelectorAll('[data-cart-count]');
@@ -292,24 +376,516 @@
       });
     }
 
-    static async add(variantId, quantity = 1) {
-      const response = await Theme.fetchJSON('/cart/add.js', {
-        method: 'POST',
-        body: JSON.stringify({
-          id: variantId,
-          quantity: quantity
-        })
+    /**
+     * Add a variant, refusing quantities outside its quantity rule
+     * before anything is sent. Without a quantity, adds the rule's minimum.
+     */
+    static async add(variantId, quantity = QuantityRules.get(variantId)?.min || 1, properties) {
+      QuantityRules.assert(variantId, quantity);
+
+      const item = { id: variantId, quantity };
+      if (properties) item.properties = properties;
+
+      return window.CartStore.add(item);
+    }
+
+    /**
+     * Remove a line and offer to restore it for a few seconds. The toast's
+     * text comes from the toast region in the layout.
+     * @param {string} key - Line item key
+     */
+    static async remove(key) {
+      const line = window.CartStore.findLine(key);
+      await window.CartStore.change(key, 0);
+      if (!line) return;
+
+      const text = Toast.getRegion().dataset;
+      Toast.show({
+        message: text.cartRemovedText.replace('[title]', line.product_title),
+        action: { label: text.cartUndoText, onClick: () => Cart.restore(line) },
+        duration: UNDO_DURATION
       });
+    }
+
+    /**
+     * Add a removed line back with its variant, quantity, properties
+     * and selling plan
+     * @param {Object} line - Line item from the cart JSON
+     */
+    static async restore(line) {
+      const item = { id: line.variant_id, quantity: line.quantity };
 
-      const cart = await Theme.fetchJSON('/cart.js');
-      document.dispatchEvent(new CustomEvent('cart:updated', { 
-        detail: { itemCount: cart.item_count, cart: cart }
-      }));
+      if (line.properties && Object.keys(line.properties).length) {
+        item.properties = line.properties;
+      }
+      if (line.selling_plan_allocation) {
+        item.selling_plan = line.selling_plan_allocation.selling_plan.id;
+      }
 
-      return response;
+      try {
+        await window.CartStore.add(item, { openDrawer: false });
+        window.announceToScreenReader?.(Toast.getRegion().dataset.cartRestoredText.replace('[title]', line.product_title));
+      } catch (error) {
+        Toast.show({ message: error.message });
+        CartErrors.announce(error.message);
+      }
     }
   }
 
+  // ==========================================================================
+  // QUANTITY RULES (Per-variant minimum, increment and maximum)
+  // ==========================================================================
+
+  /**
+   * Rules are rendered by the quantity-rule snippet, either as attributes
+   * on a quantity input or as a { variantId: rule } map in a
+   * [data-quantity-rules] script. Every quantity is a multiple of the
+   * increment, at least the minimum and at most the maximum (if any).
+   */
+  const QuantityRules = {
+    rules: new Map(),
+
+    /**
+     * Remember a variant's rule
+     * @param {string|number} variantId
+     * @param {Object} rule - { min, increment, max, note }
+     */
+    register(variantId, rule) {
+      const increment = Math.max(parseInt(rule.increment, 10) || 1, 1);
+
+      this.rules.set(String(variantId), {
+        min: Math.max(parseInt(rule.min, 10) || increment, 1),
+        increment,
+        max: parseInt(rule.max, 10) || null,
+        note: rule.note || ''
+      });
+    },
+
+    /**
+     * Rule for a variant rendered anywhere on the page
+     * @returns {Object|null} Null when the page doesn't know the variant
+     */
+    get(variantId) {
+      const id = String(variantId);
+      if (!this.rules.has(id)) this.scan();
+      return this.rules.get(id) || null;
+    },
+
+    scan() {
+      document.querySelectorAll('[data-quantity-rules]').forEach(script => {
+        try {
+          Object.entries(JSON.parse(script.textContent)).forEach(([id, rule]) => this.register(id, rule));
+        } catch (error) {
+          // Ignore malformed rule maps
+        }
+      });
+
+      document.querySelectorAll('[data-quantity-rule]').forEach(input => {
+        this.register(input.dataset.ruleVariantId, this.fromInput(input));
+      });
+    },
+
+    fromInput(input) {
+      return {
+        min: input.dataset.ruleMin,
+        increment: input.dataset.ruleIncrement,
+        max: input.dataset.ruleMax,
+        note: input.dataset.ruleNote
+      };
+    },
+
+    /**
+     * Nearest valid quantity
+     * @param {number|string} quantity
+     * @param {Object} rule
+     * @param {Object} [options] - { allowZero, max } where max is a stock cap
+     */
+    snap(quantity, rule, { allowZero = false, max = null } = {}) {
+      const { min, increment } = rule;
+      const limit = Math.min(rule.max || Infinity, max ?? Infinity);
+      let value = parseInt(quantity, 10) || 0;
+
+      if (value <= 0 && allowZero) return 0;
+
+      value = Math.max(min, Math.round(value / increment) * increment);
+      if (value > limit) {
+        value = Math.max(min, Math.floor(limit / increment) * increment);
+      }
+
+      return value;
+    },
+
+    /**
+     * Quantity one increment up or down. Stepping below the minimum
+     * gives 0 when allowed (removing a cart line), the minimum otherwise.
+     */
+    step(quantity, direction, rule, { allowZero = false, max = null } = {}) {
+      const current = parseInt(quantity, 10) || 0;
+      const next = current + direction * rule.increment;
+
+      if (direction < 0 && next < rule.min) return allowZero ? 0 : rule.min;
+      return this.snap(Math.max(next, rule.min), rule, { max });
+    },
+
+    isValid(quantity, rule) {
+      const value = parseInt(quantity, 10) || 0;
+
+      return value >= rule.min &&
+        value % rule.increment === 0 &&
+        (!rule.max || value <= rule.max);
+    },
+
+    /**
+     * Throw a CartError if adding a quantity would leave the variant's
+     * total in the cart outside its rule
+     */
+    assert(variantId, quantity) {
+      const rule = this.get(variantId);
+      if (!rule) return;
+
+      const inCart = (window.CartStore?.getState()?.items || [])
+        .filter(item => String(item.variant_id) === String(variantId))
+        .reduce((total, item) => total + item.quantity, 0);
+
+      if (this.isValid(inCart + (parseInt(quantity, 10) || 0), rule)) return;
+
+      const error = new window.CartError({ description: rule.note }, 422);
+      error.variantId = variantId;
+      throw error;
+    },
+
+    /**
+     * Snap an input to its rule, announcing the rule when the value moves
+     */
+    snapInput(input) {
+      const rule = this.fromInput(input);
+      this.register(input.dataset.ruleVariantId, rule);
+
+      const value = this.snap(input.value, this.get(input.dataset.ruleVariantId), {
+        allowZero: input.hasAttribute('data-rule-allow-zero'),
+        max: parseInt(input.max, 10) || null
+      });
+
+      if (String(value) !== input.value) {
+        input.value = value;
+        if (rule.note) window.announceToScreenReader?.(rule.note, 'polite');
+      }
+
+      return value;
+    },
+
+    /**
+     * Step an input by its increment
+     * @param {Element} input - Input rendered with the quantity-rule snippet
+     * @param {number} direction - 1 or -1
+     * @param {number} [current] - Quantity to step from, defaults to the input value
+     */
+    stepInput(input, direction, current = input.value) {
+      return this.step(current, direction, this.get(input.dataset.ruleVariantId) || this.fromInput(input), {
+        allowZero: input.hasAttribute('data-rule-allow-zero'),
+        max: parseInt(input.max, 10) || null
+      });
+    },
+
+    /**
+     * Point an input at another variant's rule, e.g. after a variant change
+     * @param {Element} input
+     * @param {string|number} variantId
+     * @param {Element} [note] - [data-quantity-rule-note] element to update
+     */
+    applyToInput(input, variantId, note) {
+      const rule = this.get(variantId) || { min: 1, increment: 1, max: null, note: '' };
+
+      input.dataset.ruleVariantId = variantId;
+      input.dataset.ruleMin = rule.min;
+      input.dataset.ruleIncrement = rule.increment;
+      input.dataset.ruleNote = rule.note;
+      if (rule.max) {
+        input.dataset.ruleMax = rule.max;
+        input.max = rule.max;
+      } else {
+        delete input.dataset.ruleMax;
+        input.removeAttribute('max');
+      }
+      if (!input.hasAttribute('data-rule-allow-zero')) input.min = rule.min;
+      input.step = rule.increment;
+      input.value = this.snap(input.value, rule);
+
+      if (note) {
+        note.textContent = rule.note;
+        note.hidden = !rule.note;
+      }
+    }
+  };
+
+  // Snap typed quantities before any other change handler reads them
+  document.addEventListener('change', (e) => {
+    if (e.target.matches?.('[data-quantity-rule]')) QuantityRules.snapInput(e.target);
+  }, true);
+
+  // ==========================================================================
+  // B2B PRICING (Tier discount and volume price breaks)
+  // ==========================================================================
+
+  /**
+   * The tier discount comes from the b2b-detect snippet in the layout.
+   * Volume breaks are rendered by the price-breaks snippet, either as a
+   * data-price-breaks attribute or as a { variantId: breaks } map in a
+   * [data-price-breaks] script. A break is a percentage off the list price
+   * from a minimum quantity; the best break that applies stacks with the
+   * tier discount.
+   *
+   * These are estimates for display only. The cart and checkout price
+   * items from Shopify's own discounts.
+   */
+  const B2BPricing = {
+    breaks: new Map(),
+    customerData: null,
+
+    /**
+     * The customer's tier. Accounts waiting for approval don't get a
+     * discount yet.
+     * @returns {Object} { isB2B, tier, tierName, discount, company }
+     */
+    customer() {
+      if (this.customerData) return this.customerData;
+
+      let data = {};
+      try {
+        data = JSON.parse(document.querySelector('[data-b2b-customer-data]')?.textContent || '{}');
+      } catch (error) {
+        data = {};
+      }
+
+      const approved = Boolean(data.isB2B && data.tier && data.tier !== 'pending');
+      const tier = approved ? String(data.tier) : '';
+
+      this.customerData = {
+        isB2B: Boolean(data.isB2B),
+        tier,
+        tierName: tier.charAt(0).toUpperCase() + tier.slice(1),
+        discount: approved ? Math.min(Math.max(Number(data.discount) || 0, 0), 100) : 0,
+        company: data.company || ''
+      };
+
+      return this.customerData;
+    },
+
+    /**
+     * Remember a variant's breaks
+     * @param {string|number} variantId
+     * @param {Object[]} breaks - [{ min, discount }]
+     */
+    register(variantId, breaks) {
+      this.breaks.set(String(variantId), this.normalize(breaks));
+    },
+
+    /**
+     * Breaks for a variant rendered anywhere on the page
+     * @returns {Object[]} Empty when the variant has none or isn't known
+     */
+    get(variantId) {
+      const id = String(variantId);
+      if (!this.breaks.has(id)) this.scan();
+      return this.breaks.get(id) || [];
+    },
+
+    scan() {
+      document.querySelectorAll('script[data-price-breaks]').forEach(script => {
+        try {
+          Object.entries(JSON.parse(script.textContent)).forEach(([id, breaks]) => this.register(id, breaks));
+        } catch (error) {
+          // Ignore malformed break maps
+        }
+      });
+    },
+
+    /**
+     * Valid breaks, lowest minimum first
+     * @param {Object[]|string} breaks - Array or JSON string
+     */
+    normalize(breaks) {
+      if (typeof breaks === 'string') {
+        try {
+          breaks = JSON.parse(breaks);
+        } catch (error) {
+          breaks = [];
+        }
+      }
+
+      if (!Array.isArray(breaks)) return [];
+
+      return breaks
+        .map(entry => ({
+          min: parseInt(entry?.min, 10) || 0,
+          discount: Math.min(Number(entry?.discount) || 0, 100)
+        }))
+        .filter(entry => entry.min > 1 && entry.discount > 0)
+        .sort((a, b) => a.min - b.min);
+    },
+
+    /**
+     * Estimated price for a quantity
+     * @param {number} price - List unit price in cents
+     * @param {number} quantity
+     * @param {Object[]} [breaks]
+     * @returns {Object} { unitPrice, total, listTotal, tierDiscount, breakDiscount, nextBreak }
+     */
+    estimate(price, quantity, breaks = []) {
+      const tierDiscount = this.customer().discount;
+      const applied = breaks.filter(entry => quantity >= entry.min).pop();
+      const breakDiscount = applied ? applied.discount : 0;
+      const unitPrice = Math.round(price * (1 - tierDiscount / 100) * (1 - breakDiscount / 100));
+
+      return {
+        unitPrice,
+        total: unitPrice * quantity,
+        listTotal: price * quantity,
+        tierDiscount,
+        breakDiscount,
+        nextBreak: breaks.find(entry => entry.min > quantity && entry.discount > breakDiscount) || null
+      };
+    },
+
+    /**
+     * Whether there's anything beyond the list price to show
+     */
+    applies(breaks = []) {
+      return this.customer().discount > 0 || breaks.length > 0;
+    },
+
+    /**
+     * Fill a preview rendered by the price-breaks snippet
+     * @param {Element} preview - [data-b2b-preview]
+     * @param {Object} options - { price (cents), quantity, breaks }
+     */
+    renderPreview(preview, { price, quantity, breaks = [] }) {
+      if (!preview) return;
+
+      quantity = Math.max(parseInt(quantity, 10) || 1, 1);
+
+      if (price === null || price === undefined || Number.isNaN(Number(price)) || !this.applies(breaks)) {
+        preview.hidden = true;
+        return;
+      }
+
+      const labels = preview.dataset;
+      const customer = this.customer();
+      const result = this.estimate(Number(price), quantity, breaks);
+      const money = cents => Theme.formatMoney(cents);
+
+      const tier = preview.querySelector('[data-b2b-preview-tier]');
+      tier.hidden = customer.discount === 0;
+      tier.textContent = labels.tierText
+        .replace('[tier]', customer.tierName)
+        .replace('[percent]', customer.discount);
+
+      const applied = breaks.filter(entry => quantity >= entry.min).pop();
+      const list = preview.querySelector('[data-b2b-preview-breaks]');
+      list.hidden = breaks.length === 0;
+      list.innerHTML = '';
+      breaks.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'b2b-preview__break';
+        item.classList.toggle('is-active', entry === applied);
+        item.textContent = labels.breakText
+          .replace('[min]', entry.min)
+          .replace('[price]', money(this.estimate(Number(price), entry.min, breaks).unitPrice));
+        list.appendChild(item);
+      });
+
+      preview.querySelector('[data-b2b-preview-estimate]').textContent = labels.estimateText
+        .replace('[quantity]', quantity)
+        .replace('[total]', money(result.total));
+
+      const next = preview.querySelector('[data-b2b-preview-next]');
+      next.hidden = !result.nextBreak;
+      if (result.nextBreak) {
+        next.textContent = labels.nextText
+          .replace('[count]', result.nextBreak.min - quantity)
+          .replace('[percent]', result.nextBreak.discount);
+      }
+
+      preview.hidden = false;
+    }
+  };
+
+  // ==========================================================================
+  // CART ERRORS (Inline messages for rejected cart requests)
+  // ==========================================================================
+
+  const CartErrors = {
+    /**
+     * Show an error on a cart line and cap its quantity input
+     * @param {Element} row - [data-cart-item] element
+     * @param {Error} error - CartError from CartStore
+     */
+    showOnLine(row, error) {
+      this.clamp(row.querySelector('[data-quantity-input]'), error.available);
+      this.render(row.querySelector('[data-cart-item-error]'), error.message);
+      this.announce(error.message);
+    },
+
+    /**
+     * Show an add-to-cart error in a product form and cap its quantity
+     * input at what can still be added
+     * @param {Element} container - Form or wrapper holding the button and input
+     * @param {Error} error - CartError from CartStore
+     */
+    showOnForm(container, error) {
+      if (error.available !== null && error.available !== undefined) {
+        const items = window.CartStore.getState()?.items || [];
+        const inCart = items
+          .filter(item => String(item.variant_id) === String(error.variantId))
+          .reduce((total, item) => total + item.quantity, 0);
+
+        this.clamp(container.querySelector('[data-quantity-input]'), Math.max(error.available - inCart, 0));
+      }
+
+      let slot = container.querySelector('[data-cart-add-error]');
+      if (!slot) {
+        slot = document.createElement('p');
+        slot.className = 'cart-add-error';
+        slot.setAttribute('data-cart-add-error', '');
+        container.appendChild(slot);
+      }
+
+      this.render(slot, error.message);
+      this.announce(error.message);
+    },
+
+    /**
+     * Hide any messages shown inside a container
+     */
+    clear(container) {
+      container.querySelectorAll('[data-cart-item-error], [data-cart-add-error]').forEach(slot => {
+        slot.textContent = '';
+        slot.hidden = true;
+      });
+    },
+
+    clamp(input, max) {
+      if (!input || max === null || max === undefined) return;
+
+      input.max = max;
+      if (parseInt(input.value, 10) > max) {
+        input.value = Math.max(max, parseInt(input.min, 10) || 0);
+      }
+    },
+
+    render(slot, message) {
+      if (!slot) return;
+      slot.textContent = message;
+      slot.hidden = false;
+    },
+
+    announce(message) {
+      if (window.announceToScreenReader) {
+        window.announceToScreenReader(message, 'assertive');
+      }
+    }
+  };
+
   // ==========================================================================
   // INITIALIZE
   // ==========================================================================
@@ -326,5 +902,9 @@
   // Expose Theme utilities globally
   window.Theme = Theme;
   window.Cart = Cart;
+  window.CartErrors = CartErrors;
+  window.QuantityRules = QuantityRules;
+  window.B2BPricing = B2BPricing;
+  window.Toast = Toast;
 
 })();
@@ -0,0 +1,404 @@
+/**
+ * Quick Order
+ * B2B order pad: SKU + quantity rows added to the cart in one request
+ *
+ * SKUs resolve to variants as they are typed, through the search page
+ * rendered with the quick-order-lookup section. Rows can also be pasted
+ * from a spreadsheet or CSV ("SKU, quantity" per line, tab or comma
+ * separated).
+ *
+ * Everything valid goes to /cart/add.js in a single `items` request. If
+ * Shopify rejects one item the whole request fails, so the offending row
+ * is marked and the rest are sent again.
+ */
+
+(function() {
+  'use strict';
+
+  const LOOKUP_SECTION = 'quick-order-lookup';
+  const LOOKUP_DELAY = 300;
+
+  class QuickOrder {
+    constructor(container) {
+      this.container = container;
+      this.rowsEl = container.querySelector('[data-quick-order-rows]');
+      this.template = container.querySelector('[data-quick-order-row-template]');
+      this.messageEl = container.querySelector('[data-quick-order-message]');
+      this.submitBtn = container.querySelector('[data-quick-order-submit]');
+
+      if (!this.rowsEl || !this.template) return;
+
+      // SKU (upper case) -> Promise<variant|null>
+      this.lookups = new Map();
+
+      this.init();
+    }
+
+    init() {
+      const count = parseInt(this.container.dataset.initialRows, 10) || 5;
+      for (let i = 0; i < count; i++) this.addRow();
+
+      const lookup = window.Theme.debounce((row) => this.resolve(row), LOOKUP_DELAY);
+
+      this.container.addEventListener('input', (e) => {
+        const row = e.target.closest('[data-quick-order-row]');
+        if (!row) return;
+
+        if (e.target.matches('[data-quick-order-sku]')) {
+          this.setStatus(row, 'pending', e.target.value.trim() ? this.text('lookingUp') : '');
+          lookup(row);
+        } else if (e.target.matches('[data-quick-order-quantity]') && row.variant) {
+          this.validate(row);
+        }
+      });
+
+      // Multi-line pastes into a SKU field fill rows from there down
+      this.container.addEventListener('paste', (e) => {
+        const input = e.target.closest('[data-quick-order-sku]');
+        const text = e.clipboardData?.getData('text') || '';
+        if (!input || !/[\n\t,;]/.test(text.trim())) return;
+
+        e.preventDefault();
+        this.importRows(text, input.closest('[data-quick-order-row]'));
+      });
+
+      this.container.addEventListener('click', (e) => {
+        if (e.target.closest('[data-quick-order-add-row]')) {
+          this.addRow().querySelector('[data-quick-order-sku]').focus();
+        }
+
+        const removeBtn = e.target.closest('[data-quick-order-remove]');
+        if (removeBtn) this.removeRow(removeBtn.closest('[data-quick-order-row]'));
+
+        if (e.target.closest('[data-quick-order-clear]')) this.clear();
+
+        if (e.target.closest('[data-quick-order-import]')) {
+          const textarea = this.container.querySelector('[data-quick-order-paste]');
+          this.importRows(textarea.value);
+          textarea.value = '';
+        }
+
+        if (e.target.closest('[data-quick-order-submit]')) this.submit();
+      });
+    }
+
+    text(key, replacements = {}) {
+      const template = this.container.dataset[`text${key.charAt(0).toUpperCase()}${key.slice(1)}`] || '';
+      return Object.entries(replacements).reduce(
+        (result, [name, value]) => result.replace(`[${name}]`, value),
+        template
+      );
+    }
+
+    addRow() {
+      const row = this.template.content.firstElementChild.cloneNode(true);
+      this.rowsEl.appendChild(row);
+      return row;
+    }
+
+    removeRow(row) {
+      row.remove();
+      if (!this.rowsEl.querySelector('[data-quick-order-row]')) this.addRow();
+    }
+
+    clear() {
+      this.rowsEl.innerHTML = '';
+      const count = parseInt(this.container.dataset.initialRows, 10) || 5;
+      for (let i = 0; i < count; i++) this.addRow();
+      this.showMessage('');
+    }
+
+    getRows() {
+      return [...this.rowsEl.querySelectorAll('[data-quick-order-row]')];
+    }
+
+    /**
+     * Parse spreadsheet / CSV text into { sku, quantity } entries.
+     * Header rows and blank lines are skipped.
+     */
+    parse(text) {
+      return text
+        .split(/\r?\n/)
+        .map(line => line.split(/\t|,|;/).map(cell => cell.trim().replace(/^"|"$/g, '')))
+        .filter(([sku, quantity]) => sku && (quantity === undefined || quantity === '' || /^\d+$/.test(quantity)))
+        .map(([sku, quantity]) => ({ sku, quantity: parseInt(quantity, 10) || 1 }));
+    }
+
+    /**
+     * Fill rows from pasted text, starting at `startRow` (or the first empty row)
+     */
+    importRows(text, startRow) {
+      const entries = this.parse(text);
+      if (entries.length === 0) return;
+
+      let rows = this.getRows();
+      let index = startRow ? rows.indexOf(startRow) : rows.findIndex(row => !row.querySelector('[data-quick-order-sku]').value.trim());
+      if (index < 0) index = rows.length;
+
+      entries.forEach((entry, offset) => {
+        const row = rows[index + offset] || this.addRow();
+        rows = this.getRows();
+
+        row.querySelector('[data-quick-order-sku]').value = entry.sku;
+        row.querySelector('[data-quick-order-quantity]').value = entry.quantity;
+        this.setStatus(row, 'pending', this.text('lookingUp'));
+        this.resolve(row);
+      });
+
+      this.addRow();
+    }
+
+    /**
+     * Look a SKU up, reusing earlier lookups
+     * @returns {Promise<Object|null>}
+     */
+    lookup(sku) {
+      const key = sku.toUpperCase();
+
+      if (!this.lookups.has(key)) {
+        const params = new URLSearchParams({
+          q: sku,
+          type: 'product',
+          'options[unavailable_products]': 'last',
+          section_id: LOOKUP_SECTION
+        });
+
+        this.lookups.set(key, fetch(`${this.container.dataset.lookupUrl}?${params}`)
+          .then(response => response.text())
+          .then(html => {
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            const variants = JSON.parse(doc.querySelector('[data-quick-order-results]')?.textContent || '[]');
+            return variants.find(variant => (variant.sku || '').toUpperCase() === key) || null;
+          })
+          .catch(() => {
+            // Allow a retry after network errors
+            this.lookups.delete(key);
+            return null;
+          }));
+      }
+
+      return this.lookups.get(key);
+    }
+
+    async resolve(row) {
+      const sku = row.querySelector('[data-quick-order-sku]').value.trim();
+      row.variant = null;
+
+      if (!sku) {
+        this.setStatus(row, 'empty', '');
+        return;
+      }
+
+      const variant = await this.lookup(sku);
+
+      // The SKU changed while we were waiting
+      if (row.querySelector('[data-quick-order-sku]').value.trim() !== sku) return;
+
+      if (!variant) {
+        this.setStatus(row, 'error', this.text('notFound'));
+        return;
+      }
+
+      row.variant = variant;
+      window.QuantityRules.register(variant.id, variant.quantityRule);
+
+      // Start from the nearest quantity the variant can be ordered in
+      const input = row.querySelector('[data-quick-order-quantity]');
+      input.value = window.QuantityRules.snap(input.value, window.QuantityRules.get(variant.id));
+
+      this.renderProduct(row, variant);
+      this.validate(row);
+    }
+
+    /**
+     * Check the row's quantity against stock and the variant's quantity
+     * rule, counting what is already in the cart and in rows above for
+     * the same variant
+     * @returns {boolean}
+     */
+    validate(row) {
+      const variant = row.variant;
+      const quantity = parseInt(row.querySelector('[data-quick-order-quantity]').value, 10);
+
+      if (!variant) return false;
+
+      if (!variant.available) {
+        this.setStatus(row, 'error', this.text('soldOut'));
+        return false;
+      }
+
+      if (!(quantity > 0)) {
+        this.setStatus(row, 'error', this.text('invalidQuantity'));
+        return false;
+      }
+
+      const cart = window.CartStore.getState();
+      const inCart = (cart?.items || [])
+        .filter(item => item.variant_id === variant.id)
+        .reduce((sum, item) => sum + item.quantity, 0);
+      const rows = this.getRows();
+      const above = rows.slice(0, rows.indexOf(row))
+        .filter(other => other.variant?.id === variant.id)
+        .reduce((sum, other) => sum + (parseInt(other.querySelector('[data-quick-order-quantity]').value, 10) || 0), 0);
+
+      const rule = window.QuantityRules.get(variant.id);
+      if (rule && !window.QuantityRules.isValid(inCart + above + quantity, rule)) {
+        this.setStatus(row, 'error', rule.note);
+        return false;
+      }
+
+      if (variant.inventoryQuantity !== null) {
+        const remaining = Math.max(0, variant.inventoryQuantity - inCart - above);
+
+        if (quantity > remaining) {
+          this.setStatus(row, 'error', remaining > 0 ? this.text('limited', { count: remaining }) : this.text('soldOut'));
+          return false;
+        }
+      }
+
+      this.setStatus(row, 'ready', '');
+      return true;
+    }
+
+    renderProduct(row, variant) {
+      const cell = row.querySelector('[data-quick-order-product]');
+      const status = cell.querySelector('[data-quick-order-status]');
+
+      cell.querySelector('.quick-order__item')?.remove();
+
+      const item = document.createElement('a');
+      item.className = 'quick-order__item';
+      item.href = variant.url;
+      item.target = '_blank';
+      item.innerHTML = '<img alt="" width="40" height="40" loading="lazy"><span><span class="quick-order__item-title"></span><span class="quick-order__item-meta"></span></span>';
+
+      const image = item.querySelector('img');
+      if (variant.image) {
+        image.src = variant.image;
+      } else {
+        image.remove();
+      }
+
+      item.querySelector('.quick-order__item-title').textContent = variant.title;
+      item.querySelector('.quick-order__item-meta').textContent = [variant.variantTitle, window.Theme.formatMoney(variant.price)]
+        .filter(Boolean)
+        .join(' · ');
+
+      cell.insertBefore(item, status);
+    }
+
+    /**
+     * @param {Element} row
+     * @param {'empty'|'pending'|'ready'|'error'|'added'} state
+     * @param {string} message
+     */
+    setStatus(row, state, message) {
+      row.dataset.state = state;
+      row.querySelector('[data-quick-order-status]').textContent = message;
+
+      if (state !== 'ready' && state !== 'added') {
+        row.querySelector('.quick-order__item')?.remove();
+        if (state === 'error' && row.variant) this.renderProduct(row, row.variant);
+      }
+    }
+
+    showMessage(message) {
+      if (!this.messageEl) return;
+      this.messageEl.textContent = message;
+      this.messageEl.hidden = !message;
+    }
+
+    async submit() {
+      // Let lookups still in flight finish first
+      await Promise.all(this.getRows()
+        .filter(row => row.dataset.state === 'pending')
+        .map(row => this.resolve(row)));
+
+      const rows = this.getRows().filter(row => row.variant && this.validate(row));
+      if (rows.length === 0) {
+        this.showMessage(this.text('nothing'));
+        return;
+      }
+
+      this.submitBtn.disabled = true;
+      this.submitBtn.setAttribute('aria-busy', 'true');
+
+      let pending = rows;
+      let failed = 0;
+
+      try {
+        while (pending.length > 0) {
+          try {
+            await window.CartStore.add(this.toItems(pending));
+            pending.forEach(row => this.setStatus(row, 'added', this.text('added')));
+            break;
+          } catch (error) {
+            const culprits = this.findFailedRows(pending, error);
+            culprits.forEach(row => this.setStatus(row, 'error', error.message));
+            failed += culprits.length;
+            pending = pending.filter(row => !culprits.includes(row));
+          }
+        }
+      } finally {
+        this.submitBtn.disabled = false;
+        this.submitBtn.removeAttribute('aria-busy');
+      }
+
+      const message = this.text('summary', { added: rows.length - failed, failed });
+      this.showMessage(message);
+      if (failed > 0) window.CartErrors.announce(message);
+    }
+
+    /**
+     * Merge rows for the same variant into Cart API items
+     */
+    toItems(rows) {
+      const quantities = new Map();
+
+      rows.forEach(row => {
+        const quantity = parseInt(row.querySelector('[data-quick-order-quantity]').value, 10);
+        quantities.set(row.variant.id, (quantities.get(row.variant.id) || 0) + quantity);
+      });
+
+      return [...quantities].map(([id, quantity]) => ({ id, quantity }));
+    }
+
+    /**
+     * Work out which rows a rejected batch failed on. Shopify names the
+     * product in its message; if none matches, every row is blamed.
+     */
+    findFailedRows(rows, error) {
+      const message = (error.message || '').toLowerCase();
+
+      const byVariant = rows.filter(row => {
+        const { title, variantTitle } = row.variant;
+        const full = variantTitle ? `${title} - ${variantTitle}` : title;
+        return message.includes(full.toLowerCase());
+      });
+      if (byVariant.length > 0) return byVariant;
+
+      const byProduct = rows.filter(row => message.includes(row.variant.title.toLowerCase()));
+      return byProduct.length > 0 ? byProduct : rows;
+    }
+  }
+
+  function initQuickOrders() {
+    document.querySelectorAll('[data-quick-order]').forEach(container => {
+      new QuickOrder(container);
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initQuickOrders);
+  } else {
+    initQuickOrders();
+  }
+
+  // Reinit on Shopify section reload
+  if (window.Shopify && Shopify.designMode) {
+    document.addEventListener('shopify:section:load', (e) => {
+      const container = e.target.querySelector('[data-quick-order]');
+      if (container) new QuickOrder(container);
+    });
+  }
+})();
@@ -51,6 +51,12 @@
           this.handleVariantClick(variantOption);
         }
 
+        // Quantity steppers
+        const stepButton = e.target.closest('[data-qty-minus], [data-qty-plus]');
+        if (stepButton) {
+          this.handleQuantityStep(stepButton.hasAttribute('data-qty-plus') ? 1 : -1);
+        }
+
         // Add to cart
         const addButton = e.target.closest('[data-quick-view-add]');
         if (addButton) {
@@ -58,6 +64,14 @@
           this.handleAddToCart(addButton);
         }
       });
+
+      // Tier and volume pricing follow the quantity. Values set from code
+      // (steppers, a new variant's rule) fire no event and update it directly.
+      ['input', 'change'].forEach(type => {
+        this.modal.addEventListener(type, (e) => {
+          if (e.target.matches('[data-quantity-input]')) this.updatePricePreview();
+        });
+      });
     }
 
     async open(handle) {
@@ -81,7 +95,7 @@
         
         const parser = new DOMParser();
         const doc = parser.parseFromString(html, 'text/html');
-        const quickViewContent = doc.querySelector('.quick-view') || doc.body;
+        const quickViewContent = doc.querySelector('[data-quick-view-product]') || doc.body;
         
         this.content.innerHTML = quickViewContent.innerHTML;
         
@@ -135,6 +149,17 @@
       this.updateSelectedVariant();
     }
 
+    /**
+     * Step the quantity by the variant's increment (QuantityRules, global.js)
+     */
+    handleQuantityStep(direction) {
+      const input = this.content.querySelector('[data-quantity-input]');
+      if (!input) return;
+
+      input.value = window.QuantityRules.stepInput(input, direction);
+      this.updatePricePreview();
+    }
+
     initVariants() {
       this.variants = [];
       const variantData = this.content.querySelector('[data-product-variants]');
@@ -146,6 +171,27 @@
           console.error('Error parsing variants:', e);
         }
       }
+
+      const selectedId = this.content.querySelector('[data-quick-view-add]')?.dataset.variantId;
+      this.currentVariant = this.variants.find(variant => String(variant.id) === selectedId) ||
+        this.variants.find(variant => variant.available) ||
+        this.variants[0] ||
+        null;
+      this.updatePricePreview();
+    }
+
+    /**
+     * Tier and volume pricing for the selected variant (snippets/price-breaks.liquid)
+     */
+    updatePricePreview() {
+      const preview = this.content.querySelector('[data-b2b-preview]');
+      if (!preview || !this.currentVariant) return;
+
+      window.B2BPricing.renderPreview(preview, {
+        price: this.currentVariant.price,
+        quantity: this.content.querySelector('[data-quantity-input]')?.value,
+        breaks: window.B2BPricing.get(this.currentVariant.id)
+      });
     }
 
     updateSelectedVariant() {
@@ -163,6 +209,16 @@
       });
 
       if (matchingVariant) {
+        this.currentVariant = matchingVariant;
+
+        // Quantity rule of the new variant
+        const qtyInput = this.content.querySelector('[data-quantity-input]');
+        if (qtyInput) {
+          window.QuantityRules.applyToInput(qtyInput, matchingVariant.id, this.content.querySelector('[data-quantity-rule-note]'));
+        }
+
+        this.updatePricePreview();
+
         // Update price
         const priceEl = this.content.querySelector('.quick-view__price-current');
         if (priceEl) {
@@ -193,12 +249,17 @@
       const variantId = button.dataset.variantId;
       if (!variantId) return;
 
+      const container = button.closest('form') || button.parentElement;
+      const quantityInput = container.querySelector('[data-quantity-input]');
+      const quantity = quantityInput ? parseInt(quantityInput.value, 10) || 1 : undefined;
+
       const originalText = button.textContent;
+      window.CartErrors.clear(container);
       button.disabled = true;
       button.textContent = 'Adding...';
 
       try {
-        await window.Cart.add(variantId, 1);
+        await window.Cart.add(variantId, quantity);
         button.textContent = 'Added!';
         
         setTimeout(() => {
@@ -208,12 +269,9 @@
         }, 1000);
 
       } catch (error) {
-        console.error('Error adding to cart:', error);
-        button.textContent = 'Error';
-        setTimeout(() => {
-          button.textContent = originalText;
-          button.disabled = false;
-        }, 2000);
+        window.CartErrors.showOnForm(container, error);
+        button.textContent = originalText;
+        button.disabled = false;
       }
     }
   }
@@ -1,15 +1,191 @@
 /**
  * Product Finder Quiz
  * Multi-step quiz with product recommendations
+ *
+ * Recommendations come from a scoring model: the section's scoring JSON
+ * (from a quiz_scoring metaobject or the section settings), or
+ * DEFAULT_SCORING when there is none.
+ *
+ * {
+ *   "minScore": 1,                        products scoring less aren't shown
+ *   "weights": { "goal": 2 },             per question, over the block's weight
+ *   "rules": [                            points added to a product's score
+ *     { "question": "goal", "tag": "[answer]", "points": 10 },
+ *     { "question": "goal", "metafield": "quiz_score_[answer]", "multiply": 3 },
+ *     { "question": "experience", "when": { "max": 3 },
+ *       "metafield": "quiz_experience_level", "equals": "beginner", "points": 8 },
+ *     { "available": true, "points": 2 }
+ *   ],
+ *   "exclude": [                          products matching these aren't shown
+ *     { "question": "space", "when": { "in": ["small"] },
+ *       "metafield": "quiz_space_required", "equals": "large" }
+ *   ]
+ * }
+ *
+ * A rule runs once per answer to its question (every selected option of a
+ * multiple choice question), or once if it names no question. "when"
+ * narrows the answers it runs for: min / max for numbers, in / notIn for
+ * values. It matches products by tag, metafield (any key in the product's
+ * metafields, optionally equal to a value or one of a list) and
+ * availability; every matcher given must match. [answer] in a tag,
+ * metafield key or value stands for the answer. A match earns "points",
+ * or the metafield's number times "multiply", times the question weight.
+ *
+ * Steps can branch (question block settings, rendered as data attributes):
+ * - data-show-if: answers the step needs, e.g. "goal=rehab" or
+ *   "space=large,commercial; experience=7,8,9,10". Steps whose conditions
+ *   aren't met are skipped. Ignored on the first step.
+ * - data-jump: where to go after answering, e.g. "clinic:clinic_size|home:space",
+ *   by answer and question key. "*" matches any answer; "end" skips to the
+ *   email step, or the results. Only forward jumps are followed.
+ * The path taken is kept in this.path, so Back retraces it and the
+ * progress bar counts the steps on it plus those still ahead.
+ *
+ * Answers are saved on the device as they're given, so a reload picks up
+ * at the first unanswered step on the path (or the results, once
+ * finished). Results carry a link with the answers in the quiz_result
+ * parameter; opening it shows the same recommendations without touching
+ * the visitor's own progress. Results shown again this way, or after a
+ * reload, are tracked as quiz_result_viewed rather than quiz_completed.
  */
 
 (function() {
   'use strict';
 
+  /**
+   * The quiz's original weights, with experience bands that don't overlap
+   */
+  const DEFAULT_SCORING = {
+    minScore: 1,
+    weights: {},
+    rules: [
+      { question: 'goal', metafield: 'quiz_score_[answer]', multiply: 3 },
+      { question: 'goal', tag: '[answer]', points: 10 },
+      { question: 'experience', metafield: 'quiz_experience_level', equals: 'all', points: 5 },
+      { question: 'experience', when: { max: 3 }, metafield: 'quiz_experience_level', equals: 'beginner', points: 8 },
+      { question: 'experience', when: { min: 4, max: 6 }, metafield: 'quiz_experience_level', equals: 'intermediate', points: 8 },
+      { question: 'experience', when: { min: 7 }, metafield: 'quiz_experience_level', equals: 'advanced', points: 8 },
+      { question: 'space', metafield: 'quiz_space_required', equals: '[answer]', points: 6 },
+      // Small equipment works in any space
+      { question: 'space', when: { notIn: ['small'] }, metafield: 'quiz_space_required', equals: 'small', points: 3 },
+      { question: 'focus', tag: '[answer]', points: 4 },
+      { available: true, points: 2 }
+    ],
+    exclude: []
+  };
+
+  const STORAGE_KEY = 'reaxing-quiz';
+  const SHARE_PARAM = 'quiz_result';
+
+  // Saved progress older than this starts over
+  const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+  const QuizScoring = {
+    /**
+     * @param {Object} product - Entry from [data-quiz-products]
+     * @param {Object} answers
+     * @param {Object} model - Normalized scoring model
+     * @returns {number|null} Score, null when an exclusion rule matches
+     */
+    score(product, answers, model) {
+      const excluded = model.exclude.some(rule => {
+        return this.answersFor(rule, answers).some(answer => this.matches(rule, product, answer));
+      });
+      if (excluded) return null;
+
+      return model.rules.reduce((score, rule) => {
+        const weight = rule.question ? model.weights[rule.question] ?? 1 : 1;
+
+        return this.answersFor(rule, answers).reduce((total, answer) => {
+          if (!this.matches(rule, product, answer)) return total;
+
+          const points = rule.multiply !== undefined
+            ? (parseFloat(this.metafield(rule, product, answer)) || 0) * rule.multiply
+            : Number(rule.points) || 0;
+
+          return total + points * weight;
+        }, score);
+      }, 0);
+    },
+
+    /**
+     * Answers a rule runs for. Rules without a question run once.
+     */
+    answersFor(rule, answers) {
+      if (!rule.question) return [null];
+
+      const answer = answers[rule.question];
+      if (answer === undefined || answer === null || answer === '') return [];
+
+      return [].concat(answer).filter(value => this.when(rule.when, value));
+    },
+
+    when(condition, value) {
+      if (!condition) return true;
+
+      const list = values => [].concat(values).map(String);
+
+      if (condition.min !== undefined && !(Number(value) >= condition.min)) return false;
+      if (condition.max !== undefined && !(Number(value) <= condition.max)) return false;
+      if (condition.in !== undefined && !list(condition.in).includes(String(value))) return false;
+      if (condition.notIn !== undefined && list(condition.notIn).includes(String(value))) return false;
+
+      return true;
+    },
+
+    matches(rule, product, answer) {
+      const fill = text => String(text).replace(/\[answer\]/g, answer ?? '').toLowerCase();
+
+      if (rule.tag !== undefined) {
+        const tag = fill(rule.tag);
+        if (!(product.tags || []).some(productTag => productTag.toLowerCase() === tag)) return false;
+      }
+
+      if (rule.metafield !== undefined) {
+        const value = this.metafield(rule, product, answer);
+        if (value === undefined || value === null || value === '') return false;
+
+        if (rule.equals !== undefined) {
+          const values = [].concat(value).map(entry => String(entry).toLowerCase());
+          if (![].concat(rule.equals).some(expected => values.includes(fill(expected)))) return false;
+        }
+      }
+
+      if (rule.available !== undefined && Boolean(product.available) !== Boolean(rule.available)) return false;
+
+      return true;
+    },
+
+    metafield(rule, product, answer) {
+      const key = String(rule.metafield).replace(/\[answer\]/g, answer ?? '');
+      return product.metafields?.[key];
+    },
+
+    /**
+     * Fill in what a model leaves out from DEFAULT_SCORING. Question weights
+     * from the blocks come first; the model's own weights win.
+     * @param {Object|null} model
+     * @param {Object} blockWeights - { questionKey: weight }
+     */
+    normalize(model, blockWeights = {}) {
+      model = model && typeof model === 'object' ? model : {};
+
+      return {
+        minScore: Number(model.minScore ?? DEFAULT_SCORING.minScore) || 0,
+        weights: { ...blockWeights, ...(model.weights || {}) },
+        rules: Array.isArray(model.rules) ? model.rules : DEFAULT_SCORING.rules,
+        exclude: Array.isArray(model.exclude) ? model.exclude : DEFAULT_SCORING.exclude
+      };
+    }
+  };
+
   class ProductQuiz {
     constructor(container) {
       this.container = container;
       this.sectionId = container.dataset.sectionId;
+
+      // Product and scoring data are rendered after the quiz markup
+      this.section = container.closest('.section-quiz') || container;
       
       // Elements
       this.progressFill = container.querySelector('[data-quiz-progress-fill]');
@@ -25,27 +201,27 @@
       );
       this.resultsStep = container.querySelector('[data-quiz-step="results"]');
       
-      // State
+      // State. currentStep and totalSteps count steps on the path taken,
+      // not step elements.
+      this.path = [0];
       this.currentStep = 1;
       this.totalSteps = this.steps.length;
       this.answers = {};
       this.email = null;
+      this.isShared = false;
+      this.storageKey = `${STORAGE_KEY}:${this.sectionId}`;
       
       // Products data
       this.products = this.loadProducts();
+      this.scoring = this.loadScoring();
       
       // Settings
-      this.resultsCount = parseInt(container.closest('.section-quiz')?.dataset.resultsCount) || 3;
+      this.resultsCount = parseInt(this.section.dataset.resultsCount) || 3;
       
       this.init();
     }
 
     init() {
-      // Update total steps display
-      if (this.totalStepsEl) {
-        this.totalStepsEl.textContent = this.totalSteps;
-      }
-
       // Single choice options
       this.container.addEventListener('click', (e) => {
         const option = e.target.closest('[data-quiz-option]');
@@ -108,12 +284,226 @@
         }
       });
 
+      // Copy the results link
+      this.container.addEventListener('click', (e) => {
+        const copyBtn = e.target.closest('[data-quiz-share-copy]');
+        if (copyBtn) {
+          this.copyShareLink(copyBtn);
+        }
+      });
+
       // Initial progress update
       this.updateProgress();
+
+      this.restore();
+    }
+
+    /**
+     * Show the results from a shared link, or pick up saved progress
+     */
+    restore() {
+      const shared = this.readSharedAnswers();
+      const session = shared ? null : this.readSession();
+      const answers = shared || session?.answers;
+      if (!answers) return;
+
+      this.isShared = Boolean(shared);
+      this.answers = answers;
+      this.path = this.replayPath(answers);
+      this.currentStep = this.path.length;
+      this.applyAnswers();
+
+      if (shared || session.completed) {
+        this.steps.forEach(step => {
+          step.hidden = true;
+        });
+        const recommendations = this.renderResultsStep();
+        this.trackEvent('quiz_result_viewed', {
+          recommendations: recommendations.map(p => p.handle),
+          shared: this.isShared
+        });
+      } else {
+        this.showStep();
+      }
+    }
+
+    /**
+     * The path the answers lead along, up to the first unanswered step
+     */
+    replayPath(answers) {
+      const path = [0];
+      const active = {};
+      let index = 0;
+
+      while (true) {
+        const key = this.steps[index].dataset.questionKey;
+        if (!key || answers[key] === undefined) break;
+
+        active[key] = answers[key];
+        const next = this.getNextIndex(index, active);
+        if (next === null) break;
+
+        path.push(next);
+        index = next;
+      }
+
+      return path;
+    }
+
+    /**
+     * Select the saved answers in every step
+     */
+    applyAnswers() {
+      this.steps.forEach(step => {
+        const answer = this.answers[step.dataset.questionKey];
+        if (answer === undefined) return;
+
+        const values = [].concat(answer).map(String);
+
+        step.querySelectorAll('[data-quiz-option], [data-quiz-option-multi]').forEach(option => {
+          option.classList.toggle('is-selected', values.includes(option.dataset.value));
+        });
+
+        const slider = step.querySelector('[data-quiz-slider]');
+        if (slider) {
+          slider.value = answer;
+          this.handleSlider(slider);
+        }
+
+        const continueBtn = step.querySelector('[data-quiz-continue]');
+        if (continueBtn && step.dataset.questionType === 'multiple') {
+          continueBtn.disabled = values.length < (parseInt(step.dataset.minSelections) || 1);
+        }
+      });
+    }
+
+    showStep() {
+      const currentStepEl = this.getCurrentStepElement();
+
+      this.steps.forEach(step => {
+        step.hidden = step !== currentStepEl;
+      });
+
+      if (this.resultsStep) {
+        this.resultsStep.hidden = true;
+      }
+
+      if (this.nav) {
+        this.nav.hidden = this.path.length <= 1;
+      }
+
+      this.updateProgress();
+    }
+
+    readSession() {
+      try {
+        const session = JSON.parse(localStorage.getItem(this.storageKey));
+        if (!session || Date.now() - session.savedAt > SESSION_MAX_AGE) return null;
+
+        const answers = this.sanitizeAnswers(session.answers);
+        return answers ? { answers, completed: Boolean(session.completed) } : null;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    saveSession(completed = false) {
+      // A shared result is someone else's
+      if (this.isShared) return;
+
+      try {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+          answers: this.answers,
+          completed,
+          savedAt: Date.now()
+        }));
+      } catch (e) {
+        // Storage full or blocked: the quiz works, it just won't resume
+      }
+    }
+
+    clearSession() {
+      try {
+        localStorage.removeItem(this.storageKey);
+      } catch (e) {
+        // Nothing to clear
+      }
+    }
+
+    /**
+     * Answers to this quiz's questions only, as strings, numbers or lists
+     * @returns {Object|null} null when nothing usable is left
+     */
+    sanitizeAnswers(answers) {
+      if (!answers || typeof answers !== 'object' || Array.isArray(answers)) return null;
+
+      const keys = this.steps.map(step => step.dataset.questionKey).filter(Boolean);
+      const clean = {};
+
+      Object.entries(answers).forEach(([key, value]) => {
+        if (!keys.includes(key)) return;
+
+        if (Array.isArray(value)) {
+          clean[key] = value.map(String);
+        } else if (typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value))) {
+          clean[key] = value;
+        }
+      });
+
+      return Object.keys(clean).length > 0 ? clean : null;
+    }
+
+    readSharedAnswers() {
+      const value = new URLSearchParams(window.location.search).get(SHARE_PARAM);
+      if (!value) return null;
+
+      try {
+        const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return this.sanitizeAnswers(JSON.parse(new TextDecoder().decode(bytes)));
+      } catch (e) {
+        return null;
+      }
+    }
+
+    /**
+     * This page with the answers on the path in the quiz_result parameter
+     */
+    getShareUrl() {
+      const bytes = new TextEncoder().encode(JSON.stringify(this.getActiveAnswers()));
+      const value = btoa(String.fromCharCode(...bytes))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+
+      const url = new URL(window.location.href);
+      url.searchParams.set(SHARE_PARAM, value);
+      url.hash = `quiz-${this.sectionId}`;
+
+      return url.toString();
+    }
+
+    async copyShareLink(button) {
+      const input = this.container.querySelector('[data-quiz-share-link]');
+      const label = button.textContent;
+
+      try {
+        await navigator.clipboard.writeText(input.value);
+      } catch (e) {
+        // Clipboard API unavailable: leave the link selected for manual copying
+        input.select();
+        return;
+      }
+
+      button.textContent = button.dataset.copiedLabel;
+      window.announceToScreenReader?.(button.dataset.copiedLabel);
+      setTimeout(() => { button.textContent = label; }, 2000);
+
+      this.trackEvent('quiz_result_shared');
     }
 
     loadProducts() {
-      const dataEl = this.container.querySelector('[data-quiz-products]');
+      const dataEl = this.section.querySelector('[data-quiz-products]');
       if (!dataEl) return [];
       
       try {
@@ -124,8 +514,105 @@
       }
     }
 
+    loadScoring() {
+      const blockWeights = {};
+      this.steps.forEach(step => {
+        const weight = parseFloat(step.dataset.questionWeight);
+        if (step.dataset.questionKey && !Number.isNaN(weight)) blockWeights[step.dataset.questionKey] = weight;
+      });
+
+      const text = this.section.querySelector('[data-quiz-scoring]')?.textContent.trim();
+      let model = null;
+
+      if (text) {
+        try {
+          model = JSON.parse(text);
+        } catch (e) {
+          console.error('Failed to parse quiz scoring model, using the default:', e);
+        }
+      }
+
+      return QuizScoring.normalize(model, blockWeights);
+    }
+
     getCurrentStepElement() {
-      return this.steps[this.currentStep - 1];
+      return this.steps[this.path[this.path.length - 1]];
+    }
+
+    /**
+     * Answers to steps on the path taken. Answers left behind by going back
+     * and choosing another branch don't count.
+     */
+    getActiveAnswers() {
+      const keys = this.path.map(index => this.steps[index].dataset.questionKey).filter(Boolean);
+
+      return Object.fromEntries(Object.entries(this.answers).filter(([key]) => keys.includes(key)));
+    }
+
+    /**
+     * Index of the step after the given one, or null for the results
+     * @param {number} index
+     * @param {Object} answers
+     */
+    getNextIndex(index, answers) {
+      const jump = this.getJumpTarget(this.steps[index], answers);
+      let next = index + 1;
+
+      if (jump === 'end') {
+        const email = this.steps.findIndex(step => step.dataset.questionType === 'email');
+        return email > index ? email : null;
+      }
+
+      if (jump !== null) {
+        const target = this.steps.findIndex(step => step.dataset.questionKey === jump);
+        if (target > index) next = target;
+      }
+
+      while (next < this.steps.length && !this.isStepShown(this.steps[next], answers)) next++;
+
+      return next < this.steps.length ? next : null;
+    }
+
+    /**
+     * @returns {string|null} Question key or 'end' from the step's data-jump
+     */
+    getJumpTarget(step, answers) {
+      const given = [].concat(answers[step.dataset.questionKey] ?? []).map(String);
+      if (!step.dataset.jump || given.length === 0) return null;
+
+      const rule = step.dataset.jump.split('|')
+        .map(entry => entry.split(':').map(part => part.trim()))
+        .find(([value, target]) => target && (value === '*' || given.includes(value)));
+
+      return rule ? rule[1] : null;
+    }
+
+    isStepShown(step, answers) {
+      if (!step.dataset.showIf) return true;
+
+      return step.dataset.showIf.split(';').every(condition => {
+        const [key, values = ''] = condition.split('=').map(part => part.trim());
+        if (!key) return true;
+
+        const given = [].concat(answers[key] ?? []).map(String);
+        return values.split(',').map(value => value.trim()).some(value => given.includes(value));
+      });
+    }
+
+    /**
+     * Steps still ahead of the current one, following the answers given so far
+     */
+    countRemainingSteps() {
+      const answers = this.getActiveAnswers();
+      let count = 0;
+      let index = this.getNextIndex(this.path[this.path.length - 1], answers);
+
+      while (index !== null) {
+        count++;
+        index = this.getNextIndex(index, answers);
+      }
+
+      return count;
     }
 
     handleSingleChoice(option) {
@@ -142,6 +629,7 @@
       const key = step.dataset.questionKey;
       const value = option.dataset.value;
       this.answers[key] = value;
+      this.saveSession();
       
       // Auto-advance after short delay
       setTimeout(() => this.nextStep(), 300);
@@ -198,28 +686,30 @@
           this.answers[key] = parseInt(slider.value);
         }
       }
+
+      this.saveSession();
     }
 
     nextStep() {
-      if (this.currentStep >= this.totalSteps) {
-        // Check if last step is email
-        const lastStep = this.steps[this.totalSteps - 1];
-        if (lastStep.dataset.questionType === 'email') {
-          // Already on email step, don't auto-advance
-          return;
-        }
+      const currentStepEl = this.getCurrentStepElement();
+
+      // The email step moves on by submitting or skipping
+      if (currentStepEl?.dataset.questionType === 'email') return;
+
+      const nextIndex = this.getNextIndex(this.path[this.path.length - 1], this.getActiveAnswers());
+      if (nextIndex === null) {
         this.showResults();
         return;
       }
       
       // Hide current step
-      const currentStepEl = this.getCurrentStepElement();
       if (currentStepEl) {
         currentStepEl.hidden = true;
       }
       
       // Show next step
-      this.currentStep++;
+      this.path.push(nextIndex);
+      this.currentStep = this.path.length;
       const nextStepEl = this.getCurrentStepElement();
       if (nextStepEl) {
         nextStepEl.hidden = false;
@@ -235,12 +725,12 @@
       // Track event
       this.trackEvent('quiz_step_completed', {
         step: this.currentStep - 1,
-        answers: this.answers
+        answers: this.getActiveAnswers()
       });
     }
 
     prevStep() {
-      if (this.currentStep <= 1) return;
+      if (this.path.length <= 1) return;
       
       // Hide current step
       const currentStepEl = this.getCurrentStepElement();
@@ -248,8 +738,9 @@
         currentStepEl.hidden = true;
       }
       
-      // Show previous step
-      this.currentStep--;
+      // Show the step this one was reached from
+      this.path.pop();
+      this.currentStep = this.path.length;
       const prevStepEl = this.getCurrentStepElement();
       if (prevStepEl) {
         prevStepEl.hidden = false;
@@ -279,7 +770,7 @@
         window._learnq.push(['identify', {
           '$email': this.email,
           '$first_name': firstName,
-          'Quiz Answers': this.answers
+          'Quiz Answers': this.getActiveAnswers()
         }]);
       }
       
@@ -287,6 +778,21 @@
     }
 
     showResults() {
+      const recommendations = this.renderResultsStep();
+
+      // Track completion
+      this.trackEvent('quiz_completed', {
+        answers: this.getActiveAnswers(),
+        recommendations: recommendations.map(p => p.handle),
+        email: this.email
+      });
+    }
+
+    /**
+     * Show the recommendations for the current answers
+     * @returns {Object[]} The recommended products
+     */
+    renderResultsStep() {
       // Hide current step
       const currentStepEl = this.getCurrentStepElement();
       if (currentStepEl) {
@@ -303,6 +809,13 @@
       
       // Render results
       this.renderResults(recommendations);
+
+      const shareLink = this.container.querySelector('[data-quiz-share-link]');
+      if (shareLink) {
+        shareLink.value = this.getShareUrl();
+      }
+
+      this.saveSession(true);
       
       // Show results step
       if (this.resultsStep) {
@@ -313,78 +826,16 @@
       if (this.progressFill) {
         this.progressFill.style.width = '100%';
       }
-      
-      // Track completion
-      this.trackEvent('quiz_completed', {
-        answers: this.answers,
-        recommendations: recommendations.map(p => p.handle),
-        email: this.email
-      });
+
+      return recommendations;
     }
 
     getRecommendations() {
-      const scored = this.products.map(product => {
-        let score = 0;
-        
-        // Goal matching (primary weight)
-        if (this.answers.goal) {
-          const goalScore = product.metafields[`quiz_score_${this.answers.goal}`];
-          if (goalScore) {
-            score += goalScore * 3;
-          }
-          
-          // Tag matching for goal
-          if (product.tags.includes(this.answers.goal)) {
-            score += 10;
-          }
-        }
-        
-        // Experience level matching
-        if (this.answers.experience) {
-          const expLevel = this.answers.experience;
-          const productExp = product.metafields.quiz_experience_level;
-          
-          if (productExp === 'all') {
-            score += 5;
-          } else if (productExp === 'beginner' && expLevel <= 4) {
-            score += 8;
-          } else if (productExp === 'intermediate' && expLevel >= 4 && expLevel <= 7) {
-            score += 8;
-          } else if (productExp === 'advanced' && expLevel >= 7) {
-            score += 8;
-          }
-        }
-        
-        // Space matching
-        if (this.answers.space) {
-          const productSpace = product.metafields.quiz_space_required;
-          if (productSpace === this.answers.space) {
-            score += 6;
-          } else if (productSpace === 'small') {
-            score += 3; // Small works everywhere
-          }
-        }
-        
-        // Focus areas (multi-select)
-        if (this.answers.focus && Array.isArray(this.answers.focus)) {
-          this.answers.focus.forEach(focus => {
-            if (product.tags.includes(focus)) {
-              score += 4;
-            }
-          });
-        }
-        
-        // Bonus for available products
-        if (product.available) {
-          score += 2;
-        }
-        
-        return { ...product, score };
-      });
-      
-      // Sort by score and return top results
-      return scored
-        .filter(p => p.score > 0)
+      const answers = this.getActiveAnswers();
+
+      return this.products
+        .map(product => ({ ...product, score: QuizScoring.score(product, answers, this.scoring) }))
+        .filter(product => product.score !== null && product.score >= this.scoring.minScore)
         .sort((a, b) => b.score - a.score)
         .slice(0, this.resultsCount);
     }
@@ -430,6 +881,7 @@
     }
 
     updateProgress() {
+      this.totalSteps = this.currentStep + this.countRemainingSteps();
       const progress = (this.currentStep / this.totalSteps) * 100;
       
       if (this.progressFill) {
@@ -439,13 +891,28 @@
       if (this.currentStepEl) {
         this.currentStepEl.textContent = this.currentStep;
       }
+
+      if (this.totalStepsEl) {
+        this.totalStepsEl.textContent = this.totalSteps;
+      }
     }
 
     restart() {
       // Reset state
+      this.path = [0];
       this.currentStep = 1;
       this.answers = {};
       this.email = null;
+      this.clearSession();
+
+      // Take the quiz for yourself after opening a shared result
+      if (this.isShared) {
+        this.isShared = false;
+
+        const url = new URL(window.location.href);
+        url.searchParams.delete(SHARE_PARAM);
+        window.history.replaceState(window.history.state, '', url.toString());
+      }
       
       // Hide results
       if (this.resultsStep) {
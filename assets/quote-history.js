@@ -0,0 +1,270 @@
+/**
+ * Quote History
+ * Past quote requests in the customer account (snippets/quote-history.liquid)
+ *
+ * Quotes sent from this device are recorded by QuoteStore. They are merged
+ * with what the store has on the customer's account, so history and status
+ * follow the buyer to other devices:
+ * - the b2b.quotes customer metafield, a JSON list of
+ *   { reference, status, date, expires_at, items } with items in the
+ *   QuoteStore item format
+ * - customer tags of the form quote:<reference>:<status>, e.g.
+ *   quote:Q-261019-4KF7:responded, which win over the metafield
+ *
+ * Statuses are submitted, responded, accepted and expired. A quote past
+ * its expires_at date that wasn't accepted shows as expired.
+ */
+
+(function() {
+  'use strict';
+
+  const STATUSES = ['submitted', 'responded', 'accepted', 'expired'];
+
+  function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+  }
+
+  class QuoteHistory {
+    constructor(container) {
+      this.container = container;
+      this.list = container.querySelector('[data-quote-list]');
+      this.emptyState = container.querySelector('[data-quote-empty]');
+      this.labels = container.dataset;
+      this.store = window.QuoteStore;
+      this.quotes = [];
+
+      if (!this.list || !this.store) return;
+
+      this.list.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-quote-action]');
+        if (!button) return;
+
+        const id = button.closest('[data-quote-id]').dataset.quoteId;
+        const quote = this.quotes.find(entry => entry.id === id);
+        if (quote) this.handleAction(button.dataset.quoteAction, quote, button);
+      });
+
+      // Quotes sent from another tab
+      document.addEventListener('quote:updated', (e) => {
+        if (e.detail.source === 'history' || e.detail.source === 'sync') this.render();
+      });
+
+      this.render();
+    }
+
+    /**
+     * Quotes from this device and the account by reference, newest first
+     * @returns {Object[]} QuoteStore history entries, plus expiresAt
+     */
+    getQuotes() {
+      const account = this.readAccountData();
+      const quotes = new Map();
+
+      this.store.getHistory().forEach(entry => quotes.set(entry.id, { ...entry, expiresAt: null }));
+
+      account.records.forEach(record => {
+        const id = String(record.reference || '');
+        if (!id) return;
+
+        const local = quotes.get(id);
+        quotes.set(id, {
+          id,
+          date: local?.date || record.date || null,
+          status: record.status || local?.status,
+          items: local?.items.length ? local.items : (record.items || []).map(item => this.store.normalize(item)),
+          details: local?.details || null,
+          expiresAt: record.expires_at || null
+        });
+      });
+
+      // Tags may name quotes this device hasn't seen; they're listed without items
+      account.tags.forEach(tag => {
+        const quote = quotes.get(tag.reference);
+        if (quote) {
+          quote.status = tag.status;
+        } else {
+          quotes.set(tag.reference, {
+            id: tag.reference,
+            date: null,
+            status: tag.status,
+            items: [],
+            details: null,
+            expiresAt: null
+          });
+        }
+      });
+
+      const now = new Date();
+
+      return Array.from(quotes.values())
+        .map(quote => {
+          let status = STATUSES.includes(quote.status) ? quote.status : 'submitted';
+          if (quote.expiresAt && status !== 'accepted' && new Date(quote.expiresAt) < now) status = 'expired';
+
+          return { ...quote, status };
+        })
+        .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+    }
+
+    readAccountData() {
+      let data = {};
+      try {
+        data = JSON.parse(this.container.querySelector('[data-quote-history-account]')?.textContent || '{}');
+      } catch (error) {
+        data = {};
+      }
+
+      return {
+        records: Array.isArray(data.records) ? data.records : [],
+        tags: Array.isArray(data.tags) ? data.tags : []
+      };
+    }
+
+    render() {
+      this.quotes = this.getQuotes();
+
+      const hasQuotes = this.quotes.length > 0;
+      this.emptyState.hidden = hasQuotes;
+      this.list.hidden = !hasQuotes;
+      this.list.innerHTML = this.quotes.map(quote => this.renderQuote(quote)).join('');
+    }
+
+    renderQuote(quote) {
+      const labels = this.labels;
+      const status = quote.status.charAt(0).toUpperCase() + quote.status.slice(1);
+      const count = quote.items.reduce((sum, item) => sum + item.quantity, 0);
+      const canAddToCart = quote.items.some(item => item.variantId);
+
+      const date = quote.date
+        ? new Date(quote.date).toLocaleDateString(document.documentElement.lang || undefined, {
+          year: 'numeric',
+          month: 'short',
+          day: 'numeric'
+        })
+        : '';
+
+      const itemsHtml = quote.items.map(item => `
+        <div class="quote-item">
+          ${item.image
+            ? `<img src="${escapeHtml(item.image)}" alt="" class="quote-item__image" loading="lazy" width="60" height="60">`
+            : '<span class="quote-item__image" aria-hidden="true"></span>'}
+          <div class="quote-item__details">
+            <div class="quote-item__title">${escapeHtml(item.title)}</div>
+            ${item.variantTitle ? `<div class="quote-item__variant">${escapeHtml(item.variantTitle)}</div>` : ''}
+            ${item.note ? `<div class="quote-item__note">${escapeHtml(item.note)}</div>` : ''}
+          </div>
+          <div class="quote-item__quantity">${escapeHtml(labels.quantityLabel)} ${item.quantity}</div>
+        </div>
+      `).join('');
+
+      return `
+        <article class="quote-card" data-quote-id="${escapeHtml(quote.id)}">
+          <div class="quote-card__header">
+            <div>
+              <span class="quote-card__id">${escapeHtml(labels.referenceLabel)} ${escapeHtml(quote.id)}</span>
+              ${date ? `<span class="quote-card__date">&mdash; ${date}</span>` : ''}
+            </div>
+            <span class="quote-card__status quote-card__status--${quote.status}">${escapeHtml(labels[`status${status}`])}</span>
+          </div>
+          <div class="quote-card__body">
+            ${itemsHtml
+              ? `<div class="quote-card__items">${itemsHtml}</div>`
+              : `<p class="quote-card__no-items">${escapeHtml(labels.noItemsText)}</p>`}
+          </div>
+          <div class="quote-card__footer">
+            <div>
+              <span class="quote-card__total-label">${escapeHtml(labels.itemsLabel)}</span>
+              <span class="quote-card__total-value">${count}</span>
+            </div>
+            ${quote.items.length ? `
+              <div class="quote-card__actions">
+                <button type="button" class="btn btn--secondary quote-card__action" data-quote-action="download">
+                  ${escapeHtml(labels.downloadLabel)}
+                </button>
+                <button type="button" class="btn btn--secondary quote-card__action" data-quote-action="requote">
+                  ${escapeHtml(labels.requoteLabel)}
+                </button>
+                ${canAddToCart ? `
+                  <button type="button" class="btn btn--primary quote-card__action" data-quote-action="cart">
+                    ${escapeHtml(labels.addToCartLabel)}
+                  </button>
+                ` : ''}
+              </div>
+            ` : ''}
+          </div>
+        </article>
+      `;
+    }
+
+    handleAction(action, quote, button) {
+      if (action === 'download') {
+        window.QuoteSheet?.print({
+          reference: quote.id,
+          date: quote.date,
+          items: quote.items,
+          details: quote.details
+        });
+      } else if (action === 'requote') {
+        this.requote(quote);
+      } else if (action === 'cart') {
+        this.addToCart(quote, button);
+      }
+    }
+
+    /**
+     * Put the quote's items back into the current quote to send again
+     */
+    requote(quote) {
+      this.store.add(quote.items.map(({ id, ...item }) => item), { source: 'reorder' });
+
+      // Review the items in the quote modal, or on the quote page
+      if (window.quoteSystem?.modal) {
+        window.quoteSystem.open();
+      } else {
+        window.location.href = this.labels.quotePageUrl;
+      }
+    }
+
+    /**
+     * Add every item with a variant to the cart in one request. Quantities
+     * are snapped to the variant's quantity rule, as recorded with the
+     * item or rendered on the page, and checked against what's in the
+     * cart like every other add.
+     */
+    async addToCart(quote, button) {
+      const rules = window.QuantityRules;
+
+      button.disabled = true;
+      try {
+        const lines = quote.items
+          .filter(item => item.variantId)
+          .map(item => {
+            if (item.quantityRule && !rules.get(item.variantId)) rules.register(item.variantId, item.quantityRule);
+
+            const rule = rules.get(item.variantId);
+            const quantity = rule ? rules.snap(item.quantity, rule) : item.quantity;
+            rules.assert(item.variantId, quantity);
+
+            return { id: item.variantId, quantity };
+          });
+
+        await window.CartStore.add(lines, { source: 'quote-history' });
+      } catch (error) {
+        window.Toast?.show({ message: error.message });
+        window.CartErrors?.announce(error.message);
+      } finally {
+        button.disabled = false;
+      }
+    }
+  }
+
+  // QuoteStore and CartStore are loaded with defer
+  document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('[data-quote-history]').forEach(container => {
+      new QuoteHistory(container);
+    });
+  });
+
+})();
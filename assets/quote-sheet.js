@@ -0,0 +1,155 @@
+/**
+ * Quote Sheet
+ * Printable quote request, generated in the browser
+ *
+ * Fills in the template from snippets/quote-sheet.liquid and prints it
+ * from a hidden frame, so the buyer can keep it as a PDF for purchase
+ * approval before we've replied. Nothing leaves the browser.
+ *
+ * Prices are indicative: the same estimate as the quote's other views,
+ * from B2BPricing (global.js) with the customer's tier discount and the
+ * item's volume price breaks. Items without a price (hidden prices) are
+ * listed but left out of the totals.
+ */
+
+(function() {
+  'use strict';
+
+  class QuoteSheet {
+    constructor() {
+      this.frame = null;
+    }
+
+    /**
+     * @param {Object} quote
+     * @param {string} quote.reference
+     * @param {Object[]} quote.items - QuoteStore items
+     * @param {string} [quote.date] - ISO date, today when not given
+     * @param {Object} [quote.details] - { company, name, email, phone }
+     */
+    print(quote) {
+      const template = document.querySelector('[data-quote-sheet-template]');
+      if (!template || quote.items.length === 0) return;
+
+      const sheet = document.createElement('div');
+      sheet.appendChild(template.content.cloneNode(true));
+      this.fill(sheet, quote);
+
+      this.open(template.dataset.title.replace('[reference]', quote.reference), sheet.innerHTML);
+    }
+
+    fill(sheet, quote) {
+      const b2b = window.B2BPricing.customer();
+      const details = quote.details || {};
+      const find = selector => sheet.querySelector(selector);
+
+      find('[data-sheet-reference]').textContent = quote.reference;
+      find('[data-sheet-date]').textContent = new Date(quote.date || Date.now()).toLocaleDateString(
+        document.documentElement.lang || undefined,
+        { year: 'numeric', month: 'long', day: 'numeric' }
+      );
+
+      const buyer = [details.company || b2b.company, details.name, details.email, details.phone].filter(Boolean);
+      find('[data-sheet-buyer]').textContent = buyer.join('\n');
+      find('[data-sheet-buyer-section]').hidden = buyer.length === 0;
+
+      if (b2b.discount > 0) {
+        find('[data-sheet-tier-label]').hidden = false;
+        find('[data-sheet-tier]').hidden = false;
+        find('[data-sheet-tier]').textContent = b2b.tierName;
+      }
+
+      const estimates = quote.items.map(item => this.estimate(item));
+      const rows = find('[data-sheet-items]');
+      quote.items.forEach((item, index) => rows.appendChild(this.renderRow(item, estimates[index])));
+
+      const priced = estimates.filter(Boolean);
+      const listTotal = priced.reduce((sum, result) => sum + result.listTotal, 0);
+      const total = priced.reduce((sum, result) => sum + result.total, 0);
+
+      find('[data-sheet-totals]').hidden = priced.length === 0;
+      find('[data-sheet-partial-prices]').hidden = priced.length === 0 || priced.length === quote.items.length;
+      find('[data-sheet-subtotal]').textContent = this.money(listTotal);
+      find('[data-sheet-total]').textContent = this.money(total);
+
+      if (total < listTotal) {
+        find('[data-sheet-discount]').textContent = `−${this.money(listTotal - total)}`;
+        find('[data-sheet-discount-row]').hidden = false;
+      }
+    }
+
+    /**
+     * @returns {Object|null} B2BPricing.estimate() result, null without a price
+     */
+    estimate(item) {
+      return item.price === null ? null : window.B2BPricing.estimate(item.price, item.quantity, item.breaks);
+    }
+
+    renderRow(item, estimate) {
+      const row = document.createElement('tr');
+      const cell = (text, className) => {
+        const td = document.createElement('td');
+        if (className) td.className = className;
+        td.textContent = text;
+        row.appendChild(td);
+        return td;
+      };
+
+      cell(item.sku || '—');
+
+      const product = cell(item.title);
+      if (item.variantTitle) product.appendChild(this.line(item.variantTitle, 'sheet__variant'));
+      if (item.note) product.appendChild(this.line(item.note, 'sheet__note'));
+
+      cell(item.quantity, 'is-number');
+      cell(estimate ? this.money(estimate.unitPrice) : '—', 'is-number');
+      cell(item.targetPrice === null ? '—' : this.money(item.targetPrice), 'is-number');
+      cell(estimate ? this.money(estimate.total) : '—', 'is-number');
+
+      return row;
+    }
+
+    line(text, className) {
+      const span = document.createElement('span');
+      span.className = className;
+      span.textContent = text;
+      return span;
+    }
+
+    money(cents) {
+      return window.Theme.formatMoney(cents);
+    }
+
+    /**
+     * Print the sheet from a hidden frame. Its title becomes the PDF's
+     * file name in most browsers.
+     */
+    open(title, html) {
+      this.frame?.remove();
+
+      const head = document.createElement('title');
+      head.textContent = title;
+
+      const accent = getComputedStyle(document.documentElement).getPropertyValue('--color-primary').trim();
+      const style = accent ? ` style="--sheet-accent: ${accent.replace(/["<>]/g, '')}"` : '';
+
+      const frame = document.createElement('iframe');
+      frame.setAttribute('aria-hidden', 'true');
+      frame.tabIndex = -1;
+      frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+      frame.srcdoc = `<!DOCTYPE html><html lang="${document.documentElement.lang || 'en'}"><head><meta charset="utf-8">${head.outerHTML}</head><body${style}>${html}</body></html>`;
+
+      // Fires once the logo has loaded too
+      frame.addEventListener('load', () => {
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+      }, { once: true });
+
+      document.body.appendChild(frame);
+      this.frame = frame;
+    }
+  }
+
+  window.QuoteSheet = new QuoteSheet();
+
+})();
@@ -0,0 +1,416 @@
+/**
+ * Quote Store
+ * Single client for the quote request list and past quotes
+ *
+ * Every quote UI (modal, drawer, quote page, account history) reads and
+ * writes through this module. Data lives in localStorage under one key as
+ * { version, items, history }. Older data is brought up to date by the
+ * migrations below when the store loads, starting from the three keys
+ * used before the store existed (quoteItems, quoteHistory, quoteCart).
+ *
+ * Item:    { id, productId, variantId, sku, handle, title, variantTitle, image,
+ *            price, quantity, targetPrice, note, breaks, quantityRule }
+ *          price and targetPrice are in cents, or null when unknown / not given
+ *          breaks are the variant's volume price breaks, [{ min, discount }]
+ *          quantityRule is the variant's { min, increment, max, note } from
+ *          QuantityRules (global.js), or null when the page didn't know it
+ * History: { id, date, status, items, details }
+ *          id is the quote's reference number
+ *          status is submitted, responded, accepted or expired
+ *          details is { company, name, email, phone } as entered, or null
+ *
+ * Changes are shared with other open tabs through TabSync ('quote' topic).
+ *
+ * Events (dispatched on document):
+ * - quote:updated  { items, source }
+ * - quote:add      { item }  once per added item
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'reaxing-quote';
+
+  const LEGACY_KEYS = {
+    items: 'quoteItems',
+    history: 'quoteHistory',
+    reorder: 'quoteCart'
+  };
+
+  /**
+   * Migrations by the version they produce. Each one receives the data
+   * at the previous version and returns it at its own.
+   */
+  const MIGRATIONS = {
+    // 0 -> 1: the legacy keys. The quote UIs stored different item shapes,
+    // with prices as formatted money. Items staged by "reorder" (quoteCart)
+    // join the current list.
+    1: (data) => {
+      const items = [];
+      [...data.items, ...data.reorder].forEach(raw => {
+        const item = fromLegacyItem(raw);
+        const existing = items.find(other => isSameProduct(other, item));
+        if (existing) {
+          existing.quantity += item.quantity;
+        } else {
+          items.push(item);
+        }
+      });
+
+      const history = data.history.map(entry => ({
+        id: String(entry.id || createId()),
+        date: new Date(entry.date || Date.now()).toISOString(),
+        status: entry.status || 'pending',
+        items: (entry.items || []).map(fromLegacyItem)
+      }));
+
+      return { version: 1, items, history };
+    },
+
+    // 1 -> 2: target unit price and a note on every item
+    2: (data) => {
+      const withFields = item => ({ targetPrice: null, note: '', ...item });
+
+      return {
+        ...data,
+        version: 2,
+        items: data.items.map(withFields),
+        history: data.history.map(entry => ({ ...entry, items: entry.items.map(withFields) }))
+      };
+    },
+
+    // 2 -> 3: SKU on every item, unknown for items already stored
+    3: (data) => {
+      const withSku = item => ({ sku: null, ...item });
+
+      return {
+        ...data,
+        version: 3,
+        items: data.items.map(withSku),
+        history: data.history.map(entry => ({ ...entry, items: entry.items.map(withSku) }))
+      };
+    },
+
+    // 3 -> 4: history statuses renamed to match the quote workflow
+    4: (data) => {
+      const statuses = { pending: 'submitted', reviewed: 'responded', approved: 'accepted', declined: 'expired' };
+
+      return {
+        ...data,
+        version: 4,
+        history: data.history.map(entry => ({ ...entry, status: statuses[entry.status] || entry.status }))
+      };
+    },
+
+    // 4 -> 5: volume price breaks on every item, none known for items already stored
+    5: (data) => {
+      const withBreaks = item => ({ breaks: [], ...item });
+
+      return {
+        ...data,
+        version: 5,
+        items: data.items.map(withBreaks),
+        history: data.history.map(entry => ({ ...entry, items: entry.items.map(withBreaks) }))
+      };
+    },
+
+    // 5 -> 6: quantity rule on every item, unknown for items already stored
+    6: (data) => {
+      const withRule = item => ({ quantityRule: null, ...item });
+
+      return {
+        ...data,
+        version: 6,
+        items: data.items.map(withRule),
+        history: data.history.map(entry => ({ ...entry, items: entry.items.map(withRule) }))
+      };
+    }
+  };
+
+  const VERSION = Math.max(...Object.keys(MIGRATIONS).map(Number));
+
+  function createId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  function isSameProduct(a, b) {
+    return a.variantId ? a.variantId === b.variantId : a.productId === b.productId;
+  }
+
+  /**
+   * Shopify names the only variant of a product "Default Title"
+   */
+  function cleanVariantTitle(title) {
+    return title && title !== 'Default Title' ? String(title) : null;
+  }
+
+  /**
+   * Cents from a formatted price such as "$1,299.00" or "1.299,00 €".
+   * Formats without decimals are ambiguous, so they give null.
+   */
+  function parseLegacyPrice(price) {
+    if (typeof price === 'number') return Math.round(price);
+    if (typeof price !== 'string' || !/\d[.,]\d{2}\D*$/.test(price)) return null;
+
+    return parseInt(price.replace(/\D/g, ''), 10) || null;
+  }
+
+  function fromLegacyItem(item) {
+    return {
+      id: String(item.id || createId()),
+      productId: item.productId ? String(item.productId) : null,
+      variantId: item.variantId ? String(item.variantId) : null,
+      handle: item.productHandle || item.handle || null,
+      title: item.productTitle || item.title || '',
+      variantTitle: cleanVariantTitle(item.variantTitle ?? item.variant),
+      image: item.productImage || item.image || null,
+      price: parseLegacyPrice(item.variantPrice ?? item.price),
+      quantity: Math.max(parseInt(item.quantity, 10) || 1, 1)
+    };
+  }
+
+  function toCents(value) {
+    const cents = parseInt(value, 10);
+    return Number.isNaN(cents) || cents < 0 ? null : cents;
+  }
+
+  function readJSON(key, fallback) {
+    try {
+      return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  class QuoteStore {
+    constructor() {
+      this.data = this.load();
+
+      // Quote changes made in other tabs
+      window.TabSync?.subscribe('quote', () => {
+        this.data = this.load();
+        this.emit('quote:updated', { items: this.getItems(), source: 'sync' });
+      });
+    }
+
+    /**
+     * Read the stored data, migrating it to the current version
+     */
+    load() {
+      let data = readJSON(STORAGE_KEY, null);
+
+      // Anything the store can't have written (hand-edited, truncated) is
+      // dropped, starting over as if nothing was stored
+      if (data && !this.isValid(data)) data = null;
+
+      if (!data) {
+        data = {
+          version: 0,
+          items: readJSON(LEGACY_KEYS.items, []),
+          history: readJSON(LEGACY_KEYS.history, []),
+          reorder: readJSON(LEGACY_KEYS.reorder, [])
+        };
+      }
+
+      // Data from a newer theme version is used as it is
+      if (data.version < VERSION) {
+        data = this.migrate(data);
+        this.write(data);
+        Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+      }
+
+      return data;
+    }
+
+    isValid(data) {
+      return Number.isInteger(data.version) &&
+        Array.isArray(data.items) &&
+        Array.isArray(data.history);
+    }
+
+    migrate(data) {
+      let migrated = data;
+      for (let version = data.version + 1; version <= VERSION; version++) {
+        migrated = MIGRATIONS[version](migrated);
+      }
+      return migrated;
+    }
+
+    write(data) {
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+      } catch (error) {
+        console.error('Error saving quote:', error);
+      }
+    }
+
+    /**
+     * Items currently in the quote request
+     */
+    getItems() {
+      return this.data.items;
+    }
+
+    /**
+     * Total quantity across all items
+     */
+    count() {
+      return this.data.items.reduce((sum, item) => sum + item.quantity, 0);
+    }
+
+    /**
+     * Add one or more items, combining them with items already in the
+     * quote for the same variant
+     * @param {Object|Object[]} items - Item fields; id and quantity are optional
+     * @returns {Object[]} The stored items
+     */
+    add(items, options = {}) {
+      const added = (Array.isArray(items) ? items : [items]).map(raw => {
+        const item = this.normalize(raw);
+        const existing = this.data.items.find(other => isSameProduct(other, item));
+
+        if (existing) {
+          existing.quantity += item.quantity;
+          return existing;
+        }
+
+        this.data.items.push(item);
+        return item;
+      });
+
+      this.commit(options.source || 'add');
+      added.forEach(item => this.emit('quote:add', { item }));
+
+      return added;
+    }
+
+    /**
+     * Change fields of an item
+     * @param {string} id
+     * @param {Object} changes
+     */
+    update(id, changes, options = {}) {
+      const item = this.data.items.find(other => other.id === id);
+      if (!item) return null;
+
+      Object.assign(item, changes);
+      item.quantity = Math.max(parseInt(item.quantity, 10) || 1, 1);
+      item.targetPrice = toCents(item.targetPrice);
+      item.note = String(item.note || '').trim();
+
+      this.commit(options.source || 'update');
+      return item;
+    }
+
+    remove(id, options = {}) {
+      this.data.items = this.data.items.filter(item => item.id !== id);
+      this.commit(options.source || 'remove');
+    }
+
+    clear(options = {}) {
+      this.data.items = [];
+      this.commit(options.source || 'clear');
+    }
+
+    /**
+     * Past quote requests, newest first
+     */
+    getHistory() {
+      return [...this.data.history].sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    /**
+     * Record a submitted quote request
+     * @param {Object} entry - { id, items, status, details }
+     */
+    addToHistory(entry, options = {}) {
+      const record = {
+        id: String(entry.id || createId()),
+        date: new Date().toISOString(),
+        status: entry.status || 'submitted',
+        items: entry.items.map(item => ({ ...item })),
+        details: entry.details || null
+      };
+
+      this.data.history.push(record);
+      this.commit(options.source || 'history');
+
+      return record;
+    }
+
+    /**
+     * Item fields from a [data-quote-button] (snippets/quote-button.liquid)
+     */
+    itemFromButton(button) {
+      const data = button.dataset;
+
+      return {
+        productId: data.productId,
+        variantId: data.variantId,
+        sku: data.variantSku,
+        handle: data.productHandle,
+        title: data.productTitle,
+        variantTitle: data.variantTitle,
+        image: data.productImage,
+        price: data.variantPrice,
+        quantity: parseInt(data.quantity, 10) || 1,
+        breaks: data.priceBreaks ?? window.B2BPricing?.get(data.variantId),
+        quantityRule: window.QuantityRules?.get(data.variantId)
+      };
+    }
+
+    /**
+     * Item fields from a cart line
+     */
+    itemFromCartLine(line) {
+      return {
+        productId: line.product_id,
+        variantId: line.variant_id,
+        sku: line.sku,
+        handle: line.handle,
+        title: line.product_title,
+        variantTitle: line.product_has_only_default_variant ? null : line.variant_title,
+        image: line.image,
+        price: line.price,
+        quantity: line.quantity,
+        breaks: window.B2BPricing?.get(line.variant_id),
+        quantityRule: window.QuantityRules?.get(line.variant_id)
+      };
+    }
+
+    normalize(item) {
+      return {
+        id: createId(),
+        productId: item.productId ? String(item.productId) : null,
+        variantId: item.variantId ? String(item.variantId) : null,
+        sku: item.sku || null,
+        handle: item.handle || null,
+        title: item.title || '',
+        variantTitle: cleanVariantTitle(item.variantTitle),
+        image: item.image || null,
+        price: toCents(item.price),
+        quantity: Math.max(parseInt(item.quantity, 10) || 1, 1),
+        targetPrice: toCents(item.targetPrice),
+        note: String(item.note || '').trim(),
+        breaks: window.B2BPricing?.normalize(item.breaks) || [],
+        quantityRule: item.quantityRule || null
+      };
+    }
+
+    /**
+     * Save, tell other tabs and notify listeners
+     */
+    commit(source) {
+      this.write(this.data);
+      window.TabSync?.publish('quote');
+      this.emit('quote:updated', { items: this.getItems(), source });
+    }
+
+    emit(name, detail) {
+      document.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+  }
+
+  window.QuoteStore = new QuoteStore();
+
+})();
@@ -0,0 +1,365 @@
+/**
+ * Quote Submission
+ * Sends a quote form to Shopify's contact endpoint over AJAX
+ *
+ * Used by the quote modal and the quote page. Fields are checked before
+ * anything is sent and errors are shown next to them. Each request gets a
+ * reference number, added to the subject; a retry keeps the same one.
+ *
+ * Besides the form's own fields, the request carries:
+ * - contact[quote_reference]  The reference number
+ * - contact[quote_items]      The items as a table for reading in the email
+ * - contact[quote_data]       JSON for importing the quote elsewhere, see
+ *                             buildData()
+ *
+ * The quote's items are only cleared, and the quote only recorded in
+ * history, once Shopify has accepted the form. A failed request keeps
+ * everything and offers a retry.
+ *
+ * Form data attributes (localized text):
+ * - data-error-text   Shown when the request fails
+ * - data-retry-text   Label of the retry button
+ * - data-empty-text   Shown when the quote has no items
+ *
+ * Events (dispatched on document):
+ * - quote:submitted  { reference, items, total, email }
+ */
+
+(function() {
+  'use strict';
+
+  // Bump when the shape of contact[quote_data] changes
+  const DATA_VERSION = 1;
+
+  // Fields written by this module, left out of the data's copy of the form
+  const PAYLOAD_FIELDS = ['subject', 'quote_reference', 'quote_items', 'quote_data'];
+
+  const TABLE_HEADINGS = ['Qty', 'SKU', 'Product', 'Unit price', 'Target price', 'Note'];
+
+  class QuoteSubmission {
+    /**
+     * @param {HTMLFormElement} form
+     * @param {Object} options
+     * @param {Element} [options.success] - Shown in place of the form once sent,
+     *   holds snippets/quote-confirmation.liquid
+     * @param {Function} [options.onSuccess] - Called with the quote:submitted detail
+     */
+    constructor(form, options = {}) {
+      this.form = form;
+      this.success = options.success || null;
+      this.onSuccess = options.onSuccess || null;
+      this.store = window.QuoteStore;
+      this.submitBtn = form.querySelector('[type="submit"]');
+      this.subjectInput = form.querySelector('[name="contact[subject]"]');
+      this.subject = this.subjectInput?.value || '';
+      this.reference = null;
+      this.isBusy = false;
+
+      // Errors are shown inline instead of in the browser's bubbles
+      form.noValidate = true;
+
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.submit();
+      });
+
+      // Clear a field's error once it's fixed
+      form.addEventListener('input', (e) => {
+        if (e.target.getAttribute('aria-invalid') === 'true' && e.target.checkValidity()) {
+          this.clearFieldError(e.target);
+        }
+      });
+
+      form.addEventListener('click', (e) => {
+        if (e.target.closest('[data-quote-retry]')) this.submit();
+      });
+    }
+
+    async submit() {
+      if (this.isBusy || !this.validate()) return;
+
+      const items = this.store.getItems().map(item => ({ ...item }));
+      this.getReference();
+      this.prepare(items);
+      this.setBusy(true);
+      this.hideError();
+
+      try {
+        const response = await fetch(this.form.action, {
+          method: 'POST',
+          body: new FormData(this.form),
+          headers: { 'Accept': 'application/json' }
+        });
+
+        // Shopify only confirms a contact post by redirecting with
+        // contact_posted=true. A rejected post (bad email, missing field)
+        // comes back as a 200 with the form re-rendered, and spam
+        // protection sends it to a challenge page.
+        if (!response.ok || !response.url.includes('contact_posted=true')) {
+          throw new Error(`Quote request was not accepted (status ${response.status})`);
+        }
+
+        this.complete(items);
+      } catch (error) {
+        console.error('Quote submission error:', error);
+        this.showError(this.form.dataset.errorText);
+      } finally {
+        this.setBusy(false);
+      }
+    }
+
+    /**
+     * Check the fields and that there is something to quote
+     * @returns {boolean}
+     */
+    validate() {
+      this.hideError();
+
+      if (this.store.getItems().length === 0) {
+        this.showError(this.form.dataset.emptyText, { retry: false });
+        return false;
+      }
+
+      const invalid = Array.from(this.form.elements).filter(field => {
+        if (!field.willValidate) return false;
+
+        if (field.checkValidity()) {
+          this.clearFieldError(field);
+          return false;
+        }
+
+        this.showFieldError(field, field.validationMessage);
+        return true;
+      });
+
+      invalid[0]?.focus();
+      return invalid.length === 0;
+    }
+
+    /**
+     * Fill in the fields sent with the form. The subject carries the
+     * reference too so it shows in the notification email's subject line.
+     */
+    prepare(items) {
+      this.setField('quote_reference', this.reference);
+      this.setField('quote_items', this.buildTable(items));
+      this.setField('quote_data', JSON.stringify(this.buildData(items)));
+
+      if (this.subjectInput) this.subjectInput.value = `${this.subject} #${this.reference}`;
+    }
+
+    setField(name, value) {
+      let input = this.form.querySelector(`[name="contact[${name}]"]`);
+      if (!input) {
+        input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = `contact[${name}]`;
+        this.form.appendChild(input);
+      }
+      input.value = value;
+    }
+
+    /**
+     * One row per item, columns separated by " | "
+     */
+    buildTable(items) {
+      const money = cents => (cents === null ? null : window.Theme.formatMoney(cents));
+      const cell = value => String(value ?? '').replace(/\|/g, '/').replace(/\s+/g, ' ').trim() || '-';
+
+      const rows = items.map(item => [
+        item.quantity,
+        item.sku,
+        item.variantTitle ? `${item.title} - ${item.variantTitle}` : item.title,
+        money(item.price),
+        money(item.targetPrice),
+        item.note
+      ]);
+
+      return [TABLE_HEADINGS, ...rows].map(row => row.map(cell).join(' | ')).join('\n');
+    }
+
+    /**
+     * The quote for machines. Prices are in cents of `currency`, null when
+     * hidden or not given. `fields` holds every other contact[...] field of
+     * the form by name, so fields added in the theme editor come through.
+     * @returns {Object}
+     */
+    buildData(items) {
+      const fields = {};
+      new FormData(this.form).forEach((value, name) => {
+        const key = name.match(/^contact\[(.+)\]$/)?.[1];
+        if (key && !PAYLOAD_FIELDS.includes(key)) fields[key] = value;
+      });
+
+      return {
+        version: DATA_VERSION,
+        reference: this.reference,
+        submittedAt: new Date().toISOString(),
+        currency: window.Shopify?.currency?.active || null,
+        company: {
+          name: fields.company || null,
+          jobTitle: fields.job_title || null,
+          businessType: fields.business_type || null
+        },
+        fields,
+        items: items.map(item => ({
+          productId: item.productId,
+          variantId: item.variantId,
+          sku: item.sku,
+          title: item.title,
+          variantTitle: item.variantTitle,
+          quantity: item.quantity,
+          unitPrice: item.price,
+          targetPrice: item.targetPrice,
+          note: item.note || null
+        }))
+      };
+    }
+
+    complete(items) {
+      const detail = {
+        reference: this.reference,
+        items,
+        total: items.reduce((sum, item) => sum + (item.price || 0) * item.quantity, 0) / 100,
+        email: this.form.querySelector('[name="contact[email]"]')?.value || ''
+      };
+
+      this.store.addToHistory({ id: this.reference, items, details: this.getDetails() });
+      this.store.clear({ source: 'submit' });
+      document.dispatchEvent(new CustomEvent('quote:submitted', { detail }));
+
+      if (this.success) {
+        this.success.querySelectorAll('[data-quote-reference-number]').forEach(el => {
+          el.textContent = this.reference;
+        });
+        this.success.querySelectorAll('[data-quote-reference]').forEach(el => {
+          el.hidden = false;
+        });
+
+        this.form.hidden = true;
+        this.success.hidden = false;
+        this.success.querySelector('[data-quote-confirmation]')?.focus();
+      }
+
+      this.form.reset();
+      if (this.subjectInput) this.subjectInput.value = this.subject;
+      this.reference = null;
+
+      if (this.onSuccess) this.onSuccess(detail);
+    }
+
+    /**
+     * Bring the form back after a successful submission
+     */
+    reset() {
+      if (!this.success || this.success.hidden) return;
+
+      this.success.hidden = true;
+      this.form.hidden = false;
+    }
+
+    /**
+     * Reference for the quote being filled in. It stays the same until
+     * the quote is sent, so a quote sheet printed beforehand matches.
+     */
+    getReference() {
+      this.reference = this.reference || this.createReference();
+      return this.reference;
+    }
+
+    /**
+     * Who the quote is for, as entered in the form
+     * @returns {Object} { company, name, email, phone }
+     */
+    getDetails() {
+      const value = name => this.form.querySelector(`[name="contact[${name}]"]`)?.value.trim() || '';
+      const name = value('name') || [value('first_name'), value('last_name')].filter(Boolean).join(' ');
+
+      return {
+        company: value('company'),
+        name,
+        email: value('email'),
+        phone: value('phone')
+      };
+    }
+
+    /**
+     * "Q-" with the date and four random characters, e.g. Q-261019-4KF7
+     */
+    createReference() {
+      const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+      const random = Math.random().toString(36).slice(2, 6).toUpperCase().padEnd(4, '0');
+
+      return `Q-${date}-${random}`;
+    }
+
+    showFieldError(field, message) {
+      const group = field.closest('.form-group') || field.parentElement;
+      let slot = group.querySelector('[data-quote-field-error]');
+
+      if (!slot) {
+        slot = document.createElement('p');
+        slot.className = 'quote-field-error';
+        slot.id = `${field.id || field.name.replace(/\W/g, '')}-error`;
+        slot.setAttribute('data-quote-field-error', '');
+        group.appendChild(slot);
+      }
+
+      slot.textContent = message;
+      slot.hidden = false;
+      field.setAttribute('aria-invalid', 'true');
+      field.setAttribute('aria-describedby', slot.id);
+    }
+
+    clearFieldError(field) {
+      const group = field.closest('.form-group') || field.parentElement;
+      const slot = group.querySelector('[data-quote-field-error]');
+
+      if (slot) slot.hidden = true;
+      field.removeAttribute('aria-invalid');
+      field.removeAttribute('aria-describedby');
+    }
+
+    /**
+     * Error above the submit button, with a retry button unless retrying
+     * wouldn't help
+     */
+    showError(message, options = {}) {
+      let slot = this.form.querySelector('[data-quote-submit-error]');
+
+      if (!slot) {
+        slot = document.createElement('div');
+        slot.className = 'quote-submit-error';
+        slot.setAttribute('data-quote-submit-error', '');
+        slot.setAttribute('role', 'alert');
+        slot.innerHTML = `
+          <p class="quote-submit-error__message" data-quote-submit-error-message></p>
+          <button type="button" class="button button--secondary button--small" data-quote-retry></button>
+        `;
+        this.submitBtn.insertAdjacentElement('beforebegin', slot);
+      }
+
+      const retry = slot.querySelector('[data-quote-retry]');
+      retry.textContent = this.form.dataset.retryText;
+      retry.hidden = options.retry === false;
+
+      slot.querySelector('[data-quote-submit-error-message]').textContent = message;
+      slot.hidden = false;
+    }
+
+    hideError() {
+      const slot = this.form.querySelector('[data-quote-submit-error]');
+      if (slot) slot.hidden = true;
+    }
+
+    setBusy(busy) {
+      this.isBusy = busy;
+      this.form.classList.toggle('is-loading', busy);
+      this.form.setAttribute('aria-busy', busy);
+      if (this.submitBtn) this.submitBtn.disabled = busy;
+    }
+  }
+
+  window.QuoteSubmission = QuoteSubmission;
+
+})();
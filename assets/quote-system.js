@@ -1,21 +1,195 @@
 /**
  * Quote System
  * B2B request for quote functionality
+ *
+ * Handles the quote modal and every [data-quote-button]. Items are kept
+ * by QuoteStore (quote-store.js), shared with the quote drawer, the quote
+ * page and the account quote history.
+ *
+ * Also provides QuoteItemFields, the per-item quantity, target price and
+ * note fields used by every quote UI, with estimated prices from
+ * B2BPricing (global.js).
  */
 
 (function() {
   'use strict';
 
+  /**
+   * Quantity, target unit price and note fields for quote items
+   * (snippets/quote-item-fields.liquid). Changes are saved to QuoteStore
+   * with source 'fields'. The UIs don't re-render for those, so focus
+   * stays put while tabbing through the fields; other copies of the same
+   * item's fields are updated in place instead.
+   *
+   * Estimates (tier discount and volume breaks) are shown under the fields
+   * and totalled in every [data-quote-estimate] (snippets/quote-estimate.liquid).
+   */
+  const QuoteItemFields = {
+    template: null,
+
+    init() {
+      document.addEventListener('change', (e) => {
+        const field = e.target.closest('[data-quote-item-field]');
+        if (field) this.save(field);
+      });
+
+      document.addEventListener('quote:updated', (e) => {
+        if (e.detail.source === 'fields') this.sync(e.detail.items);
+        this.renderTotals(e.detail.items);
+      });
+
+      this.renderTotals(window.QuoteStore.getItems());
+    },
+
+    /**
+     * Fields for an item, filled with its values
+     * @param {Object} item - QuoteStore item
+     * @param {string} context - Keeps field ids unique, e.g. 'drawer'
+     * @returns {string} HTML, empty when the page has no template
+     */
+    render(item, context) {
+      const template = this.getTemplate();
+      if (!template) return '';
+
+      const fields = template.content.firstElementChild.cloneNode(true);
+      fields.dataset.quoteItemFields = item.id;
+
+      fields.querySelectorAll('[data-quote-item-field]').forEach(field => {
+        const name = field.dataset.quoteItemField;
+        const value = this.format(item, name);
+
+        field.id = `Quote-${context}-${name}-${item.id}`;
+        fields.querySelector(`[data-quote-item-label="${name}"]`)?.setAttribute('for', field.id);
+
+        if (field.tagName === 'TEXTAREA') {
+          field.textContent = value;
+        } else {
+          field.setAttribute('value', value);
+        }
+      });
+
+      this.renderEstimate(fields, item);
+
+      return fields.outerHTML;
+    },
+
+    save(field) {
+      const id = field.closest('[data-quote-item-fields]')?.dataset.quoteItemFields;
+      const name = field.dataset.quoteItemField;
+      if (!id) return;
+
+      let value = field.value;
+      if (name === 'quantity') value = parseInt(value, 10);
+      if (name === 'targetPrice') value = this.parsePrice(value);
+
+      const item = window.QuoteStore.update(id, { [name]: value }, { source: 'fields' });
+
+      // Show the value as stored, e.g. "45" as "45.00"
+      if (item) field.value = this.format(item, name);
+    },
+
+    /**
+     * Bring every rendered copy of the fields up to date, leaving the one
+     * being edited alone
+     */
+    sync(items) {
+      document.querySelectorAll('[data-quote-item-fields]').forEach(fields => {
+        const item = items.find(other => other.id === fields.dataset.quoteItemFields);
+        if (!item) return;
+
+        fields.querySelectorAll('[data-quote-item-field]').forEach(field => {
+          if (field !== document.activeElement) {
+            field.value = this.format(item, field.dataset.quoteItemField);
+          }
+        });
+
+        this.renderEstimate(fields, item);
+      });
+    },
+
+    /**
+     * Estimated unit price and line total, hidden when the item has no price
+     */
+    renderEstimate(fields, item) {
+      const estimate = fields.querySelector('[data-quote-item-estimate]');
+      if (!estimate) return;
+
+      const result = item.price === null ? null : window.B2BPricing.estimate(item.price, item.quantity, item.breaks);
+      estimate.hidden = !result;
+      if (!result) return;
+
+      const money = cents => window.Theme.formatMoney(cents);
+      const savings = result.listTotal > 0 ? Math.round((1 - result.total / result.listTotal) * 100) : 0;
+
+      estimate.querySelector('[data-quote-item-estimate-price]').textContent = estimate.dataset.estimateText
+        .replace('[price]', money(result.unitPrice))
+        .replace('[total]', money(result.total));
+
+      const saving = estimate.querySelector('[data-quote-item-estimate-savings]');
+      saving.hidden = savings <= 0;
+      saving.textContent = estimate.dataset.savingsText.replace('[percent]', savings);
+    },
+
+    /**
+     * Estimated total of the priced items in every [data-quote-estimate]
+     */
+    renderTotals(items) {
+      const priced = items.filter(item => item.price !== null);
+      const total = priced.reduce((sum, item) => {
+        return sum + window.B2BPricing.estimate(item.price, item.quantity, item.breaks).total;
+      }, 0);
+
+      document.querySelectorAll('[data-quote-estimate]').forEach(container => {
+        container.hidden = priced.length === 0;
+        container.querySelector('[data-quote-estimate-total]').textContent = window.Theme.formatMoney(total);
+        container.querySelector('[data-quote-estimate-partial]').hidden = priced.length === items.length;
+      });
+    },
+
+    // Looked up on first use: the quote drawer renders before this
+    // script's DOMContentLoaded handler runs
+    getTemplate() {
+      this.template = this.template || document.querySelector('[data-quote-item-fields-template]');
+      return this.template;
+    },
+
+    format(item, name) {
+      if (name === 'targetPrice') {
+        return item.targetPrice === null ? '' : (item.targetPrice / 100).toFixed(2);
+      }
+      return String(item[name] ?? '');
+    },
+
+    /**
+     * Cents from a price as typed, e.g. "45", "45.5", "1,299.00" or
+     * "1.299,00". A separator followed by one or two digits at the end
+     * is the decimal one.
+     * @returns {number|null} null when nothing was entered
+     */
+    parsePrice(value) {
+      const text = String(value).replace(/[^\d.,]/g, '');
+      if (!/\d/.test(text)) return null;
+
+      const match = text.match(/^(.*)[.,](\d{1,2})$/);
+      const whole = (match ? match[1] : text).replace(/\D/g, '') || '0';
+      const fraction = match ? match[2].padEnd(2, '0') : '00';
+
+      return parseInt(`${whole}${fraction}`, 10);
+    }
+  };
+
   class QuoteSystem {
     constructor() {
       this.modal = document.querySelector('[data-quote-modal]');
       if (!this.modal) return;
 
       this.itemsList = this.modal.querySelector('[data-quote-items-list]');
-      this.formItemsInput = this.modal.querySelector('[data-quote-form-items]');
       this.form = this.modal.querySelector('[data-quote-form]');
+      this.submission = this.form && new window.QuoteSubmission(this.form, {
+        success: this.modal.querySelector('[data-quote-success]')
+      });
       
-      this.items = this.loadItems();
+      this.store = window.QuoteStore;
       this.isOpen = false;
       
       this.init();
@@ -28,7 +202,6 @@
         if (quoteBtn) {
           e.preventDefault();
           this.addItem(quoteBtn);
-          this.open();
         }
 
         // Convert cart to quote
@@ -56,84 +229,62 @@
           const itemId = removeBtn.closest('.quote-modal__item').dataset.itemId;
           this.removeItem(itemId);
         }
+
+        if (e.target.closest('[data-quote-download]')) this.downloadSheet();
       });
 
-      // Form submission
-      this.form?.addEventListener('submit', (e) => {
-        this.handleSubmit(e);
+      // Any change to the quote, from this page or another tab. Edits
+      // made in the item fields are already on screen.
+      document.addEventListener('quote:updated', (e) => {
+        if (e.detail.source !== 'fields') this.renderItems();
       });
     }
 
-    loadItems() {
-      try {
-        return JSON.parse(localStorage.getItem('quoteItems')) || [];
-      } catch (e) {
-        return [];
-      }
-    }
+    /**
+     * Add the button's product to the quote, taking the quantity from the
+     * product form it sits in. The quote drawer shows the result when the
+     * page has one; otherwise the modal opens.
+     */
+    addItem(button) {
+      const item = this.store.itemFromButton(button);
+      const quantityInput = button.closest('form')?.querySelector('[data-quantity-input]');
+      if (quantityInput) item.quantity = parseInt(quantityInput.value, 10) || 1;
 
-    saveItems() {
-      localStorage.setItem('quoteItems', JSON.stringify(this.items));
-    }
+      this.store.add(item, { source: 'button' });
 
-    addItem(button) {
-      const item = {
-        id: Date.now().toString(),
-        productId: button.dataset.productId,
-        productTitle: button.dataset.productTitle,
-        productHandle: button.dataset.productHandle,
-        productImage: button.dataset.productImage,
-        variantId: button.dataset.variantId,
-        variantTitle: button.dataset.variantTitle,
-        variantPrice: button.dataset.variantPrice
-      };
-
-      // Check if already exists
-      const exists = this.items.find(i => 
-        i.productId === item.productId && i.variantId === item.variantId
-      );
-
-      if (!exists) {
-        this.items.push(item);
-        this.saveItems();
-      }
+      button.classList.add('added');
+      setTimeout(() => button.classList.remove('added'), 1000);
 
-      this.renderItems();
+      if (window.quoteDrawer?.drawer) {
+        window.quoteDrawer.open();
+      } else {
+        this.open();
+      }
     }
 
     removeItem(itemId) {
-      this.items = this.items.filter(item => item.id !== itemId);
-      this.saveItems();
-      this.renderItems();
+      this.store.remove(itemId);
+    }
+
+    /**
+     * Print the quote as it stands (quote-sheet.js), with the reference
+     * it will be sent under
+     */
+    downloadSheet() {
+      if (!this.submission) return;
+
+      window.QuoteSheet?.print({
+        reference: this.submission.getReference(),
+        items: this.store.getItems(),
+        details: this.submission.getDetails()
+      });
     }
 
     async convertCartToQuote() {
       try {
-        const cart = await fetch('/cart.js').then(r => r.json());
-        
-        cart.items.forEach(item => {
-          const exists = this.items.find(i => 
-            i.productId === item.product_id.toString() && 
-            i.variantId === item.variant_id.toString()
-          );
-
-          if (!exists) {
-            this.items.push({
-              id: Date.now().toString() + item.variant_id,
-              productId: item.product_id.toString(),
-              productTitle: item.product_title,
-              productHandle: item.handle,
-              productImage: item.image,
-              variantId: item.variant_id.toString(),
-              variantTitle: item.variant_title,
-              variantPrice: window.Theme.formatMoney(item.price),
-              quantity: item.quantity
-            });
-          }
-        });
+        const cart = await window.CartStore.load();
 
-        this.saveItems();
-        this.renderItems();
+        this.store.add(cart.items.map(line => this.store.itemFromCartLine(line)), { source: 'cart' });
         this.open();
 
       } catch (error) {
@@ -144,24 +295,30 @@
     renderItems() {
       if (!this.itemsList) return;
 
-      if (this.items.length === 0) {
+      const items = this.store.getItems();
+
+      this.modal.querySelectorAll('[data-quote-download]').forEach(button => {
+        button.hidden = items.length === 0;
+      });
+
+      if (items.length === 0) {
         this.itemsList.innerHTML = `
           <p class="quote-modal__empty-items">No items added to quote yet.</p>
         `;
       } else {
-        this.itemsList.innerHTML = this.items.map(item => `
+        this.itemsList.innerHTML = items.map(item => `
           <div class="quote-modal__item" data-item-id="${item.id}">
             <img 
-              src="${item.productImage || '/cdn/shop/products/placeholder.png'}" 
-              alt="${item.productTitle}"
+              src="${item.image || '/cdn/shop/products/placeholder.png'}" 
+              alt="${item.title}"
               class="quote-modal__item-image"
               width="60"
               height="60"
             >
             <div class="quote-modal__item-details">
-              <span class="quote-modal__item-title">${item.productTitle}</span>
-              ${item.variantTitle && item.variantTitle !== 'Default Title' ? 
-                `<span class="quote-modal__item-variant">${item.variantTitle}</span>` : ''}
+              <span class="quote-modal__item-title">${item.title}</span>
+              ${item.variantTitle ? `<span class="quote-modal__item-variant">${item.variantTitle}</span>` : ''}
+              ${QuoteItemFields.render(item, 'modal')}
             </div>
             <button type="button" class="quote-modal__item-remove" data-quote-item-remove aria-label="Remove">
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -172,17 +329,11 @@
           </div>
         `).join('');
       }
-
-      // Update form hidden field
-      if (this.formItemsInput) {
-        const itemsSummary = this.items.map(item => 
-          `${item.productTitle}${item.variantTitle && item.variantTitle !== 'Default Title' ? ` - ${item.variantTitle}` : ''}`
-        ).join(', ');
-        this.formItemsInput.value = itemsSummary;
-      }
     }
 
     open() {
+      // Back to the form if the last quote was sent from here
+      this.submission?.reset();
       this.renderItems();
       this.modal.classList.add('is-open');
       this.modal.setAttribute('aria-hidden', 'false');
@@ -196,23 +347,14 @@
       document.body.style.overflow = '';
       this.isOpen = false;
     }
-
-    handleSubmit(e) {
-      // The form will submit normally to Shopify's contact form
-      // Clear items after successful submission
-      // Note: In a real implementation, you'd want to handle this via AJAX
-      // and clear items only after confirmed submission
-      
-      // For now, we'll clear on submit
-      setTimeout(() => {
-        this.items = [];
-        this.saveItems();
-      }, 100);
-    }
   }
 
+  window.QuoteItemFields = QuoteItemFields;
+
   // Initialize
   document.addEventListener('DOMContentLoaded', () => {
+    if (!window.QuoteStore) return;
+    QuoteItemFields.init();
     window.quoteSystem = new QuoteSystem();
   });
 
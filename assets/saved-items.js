@@ -0,0 +1,350 @@
+/**
+ * Saved Items
+ * "Save for later" list for the cart drawer and cart page
+ *
+ * Saving a line stores its variant, quantity and properties, then removes
+ * it from the cart. "Move to cart" adds it back and drops it from the list.
+ * The list renders into every [data-saved-items] (snippets/saved-items.liquid).
+ *
+ * Storage is pluggable. A backend is any object with:
+ *   load()       Promise<Object[]>
+ *   save(items)  Promise<void>
+ *
+ * Guests use localStorage. Logged-in customers use the endpoint from theme
+ * settings (e.g. an app proxy) when one is configured, so the list follows
+ * them across devices. Swap in another with SavedItems.setBackend(); the
+ * built-in backends are exposed as window.SavedItemsBackends.
+ *
+ * Events (dispatched on document):
+ * - saved-items:updated  { items }
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'reaxing-saved-items';
+
+  /**
+   * Saves to localStorage on this device
+   */
+  class LocalStorageBackend {
+    constructor(key = STORAGE_KEY) {
+      this.key = key;
+    }
+
+    async load() {
+      try {
+        return JSON.parse(localStorage.getItem(this.key)) || [];
+      } catch (error) {
+        return [];
+      }
+    }
+
+    async save(items) {
+      localStorage.setItem(this.key, JSON.stringify(items));
+    }
+  }
+
+  /**
+   * Saves to a JSON endpoint that identifies the customer server-side,
+   * such as a Shopify app proxy (GET returns { items }, PUT accepts it)
+   */
+  class RemoteBackend {
+    constructor(url) {
+      this.url = url;
+    }
+
+    async load() {
+      const response = await fetch(this.url, { headers: { 'Accept': 'application/json' } });
+      if (!response.ok) throw new Error(`Saved items request failed (${response.status})`);
+
+      const data = await response.json();
+      return data.items || [];
+    }
+
+    async save(items) {
+      const response = await fetch(this.url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({ items })
+      });
+      if (!response.ok) throw new Error(`Saved items request failed (${response.status})`);
+    }
+  }
+
+  class SavedItems {
+    constructor() {
+      this.items = [];
+      this.backend = null;
+      this.ready = null;
+      this.text = null;
+      this.loadFailed = false;
+
+      const root = document.querySelector('[data-saved-items]');
+      if (!root) return;
+
+      this.text = root.dataset;
+      this.ready = this.setBackend(this.createBackend(root.dataset));
+
+      document.addEventListener('click', (e) => {
+        const saveBtn = e.target.closest('[data-save-for-later]');
+        const moveBtn = e.target.closest('[data-saved-move]');
+        const removeBtn = e.target.closest('[data-saved-remove]');
+
+        if (saveBtn) {
+          e.preventDefault();
+          this.saveLine(saveBtn.closest('[data-cart-item]').dataset.key);
+        }
+        if (moveBtn) this.moveToCart(moveBtn.dataset.id);
+        if (removeBtn) this.remove(removeBtn.dataset.id);
+      });
+
+      // Cart sections re-rendered around the list
+      document.addEventListener('cart:rendered', () => this.render());
+
+      window.TabSync?.subscribe('saved', () => this.reload());
+    }
+
+    /**
+     * Pick the default backend for the visitor
+     * @param {DOMStringMap} config - customerId, endpoint
+     */
+    createBackend({ customerId, endpoint }) {
+      if (customerId && endpoint) return new RemoteBackend(endpoint);
+      if (customerId) return new LocalStorageBackend(`${STORAGE_KEY}-${customerId}`);
+      return new LocalStorageBackend();
+    }
+
+    /**
+     * Use a different storage backend and load the list from it.
+     * Items saved as a guest on this device are merged in. If the list
+     * can't be loaded, nothing is written to the backend until it can,
+     * so the stored list isn't replaced by an empty one.
+     * @param {{ load: Function, save: Function }} backend
+     */
+    async setBackend(backend) {
+      this.backend = backend;
+      this.loadFailed = false;
+
+      try {
+        this.items = await backend.load();
+      } catch (error) {
+        console.error('Error loading saved items:', error);
+        this.items = [];
+        this.loadFailed = true;
+      }
+
+      const guest = new LocalStorageBackend();
+      if (!this.loadFailed && !(backend instanceof LocalStorageBackend && backend.key === guest.key)) {
+        const guestItems = await guest.load();
+        if (guestItems.length > 0) {
+          guestItems.forEach(item => this.merge(item));
+
+          try {
+            await this.persist();
+            await guest.save([]);
+          } catch (error) {
+            console.error('Error merging saved items:', error);
+          }
+        }
+      }
+
+      this.render();
+    }
+
+    async reload() {
+      try {
+        this.items = await this.backend.load();
+        this.loadFailed = false;
+      } catch (error) {
+        return;
+      }
+      this.render();
+    }
+
+    /**
+     * Try the load again after a failed one, before changing the list
+     * @returns {Promise<boolean>} Whether the list is loaded
+     */
+    async ensureLoaded() {
+      if (!this.loadFailed) return true;
+
+      try {
+        this.items = await this.backend.load();
+        this.loadFailed = false;
+        return true;
+      } catch (error) {
+        console.error('Error loading saved items:', error);
+        window.Toast.show({ message: this.text.unavailableText });
+        window.CartErrors.announce(this.text.unavailableText);
+        return false;
+      }
+    }
+
+    getItems() {
+      return this.items;
+    }
+
+    /**
+     * Add an item, combining it with a saved item for the same variant,
+     * properties and selling plan
+     */
+    merge(item) {
+      const existing = this.items.find(saved => saved.id === item.id);
+      if (existing) {
+        existing.quantity += item.quantity;
+        return existing;
+      }
+
+      this.items.unshift(item);
+      return item;
+    }
+
+    /**
+     * Items are keyed by what makes a cart line unique
+     */
+    createId(line) {
+      return [line.variant_id, line.selling_plan_allocation?.selling_plan.id || '', JSON.stringify(line.properties || {})].join('|');
+    }
+
+    async saveLine(key) {
+      await this.ready;
+      if (!(await this.ensureLoaded())) return;
+
+      const line = window.CartStore.findLine(key);
+      if (!line) return;
+
+      const previous = this.items.map(item => ({ ...item }));
+      this.merge({
+        id: this.createId(line),
+        variantId: line.variant_id,
+        quantity: line.quantity,
+        properties: line.properties || {},
+        sellingPlan: line.selling_plan_allocation?.selling_plan.id || null,
+        title: line.product_title,
+        variantTitle: line.product_has_only_default_variant ? null : line.variant_title,
+        image: line.image,
+        url: line.url,
+        savedAt: Date.now()
+      });
+
+      try {
+        await this.persist();
+        await window.CartStore.change(key, 0);
+        window.announceToScreenReader?.(this.text.savedText.replace('[title]', line.product_title));
+      } catch (error) {
+        // Keep the item in exactly one place
+        this.items = previous;
+        await this.persist().catch(() => {});
+        window.Toast.show({ message: error.message });
+        window.CartErrors.announce(error.message);
+      }
+
+      this.render();
+    }
+
+    async moveToCart(id) {
+      const item = this.items.find(saved => saved.id === id);
+      if (!item) return;
+
+      const payload = { id: item.variantId, quantity: item.quantity, properties: item.properties };
+      if (item.sellingPlan) payload.selling_plan = item.sellingPlan;
+
+      this.setBusy(id, true);
+
+      try {
+        await window.CartStore.add(payload, { openDrawer: false });
+        await this.remove(id);
+        window.announceToScreenReader?.(this.text.movedText.replace('[title]', item.title));
+      } catch (error) {
+        this.setBusy(id, false);
+        window.Toast.show({ message: error.message });
+        window.CartErrors.announce(error.message);
+      }
+    }
+
+    async remove(id) {
+      this.items = this.items.filter(item => item.id !== id);
+      await this.persist().catch(error => console.error('Error saving items:', error));
+      this.render();
+    }
+
+    async persist() {
+      if (this.loadFailed) throw new Error(this.text.unavailableText);
+
+      await this.backend.save(this.items);
+      window.TabSync?.publish('saved');
+    }
+
+    setBusy(id, busy) {
+      document.querySelectorAll(`[data-saved-item][data-id="${CSS.escape(id)}"] button`).forEach(button => {
+        button.disabled = busy;
+      });
+    }
+
+    render() {
+      document.querySelectorAll('[data-saved-items]').forEach(root => {
+        const list = root.querySelector('[data-saved-items-list]');
+        const count = root.querySelector('[data-saved-items-count]');
+        list.innerHTML = '';
+
+        this.items.forEach(item => {
+          const li = document.createElement('li');
+          li.className = 'saved-item';
+          li.dataset.savedItem = '';
+          li.dataset.id = item.id;
+          li.innerHTML = `
+            <a class="saved-item__image-link" tabindex="-1"><img class="saved-item__image" width="60" height="60" loading="lazy" alt=""></a>
+            <div class="saved-item__details">
+              <a class="saved-item__title"></a>
+              <p class="saved-item__meta"></p>
+            </div>
+            <div class="saved-item__actions">
+              <button type="button" class="saved-item__move button button--secondary" data-saved-move></button>
+              <button type="button" class="saved-item__remove" data-saved-remove></button>
+            </div>
+          `;
+
+          li.querySelectorAll('a').forEach(link => { link.href = item.url; });
+
+          const image = li.querySelector('img');
+          if (item.image) {
+            image.src = `${item.image}${item.image.includes('?') ? '&' : '?'}width=120`;
+          } else {
+            image.remove();
+          }
+
+          li.querySelector('.saved-item__title').textContent = item.title;
+
+          const meta = [item.variantTitle, ...Object.entries(item.properties)
+            .filter(([name, value]) => value && !name.startsWith('_'))
+            .map(([name, value]) => `${name}: ${value}`)];
+          meta.push(`${root.dataset.quantityLabel}: ${item.quantity}`);
+          li.querySelector('.saved-item__meta').textContent = meta.filter(Boolean).join(' · ');
+
+          const move = li.querySelector('[data-saved-move]');
+          move.textContent = root.dataset.moveLabel;
+          move.dataset.id = item.id;
+
+          const remove = li.querySelector('[data-saved-remove]');
+          remove.textContent = root.dataset.removeLabel;
+          remove.dataset.id = item.id;
+          remove.setAttribute('aria-label', `${root.dataset.removeLabel}: ${item.title}`);
+
+          list.appendChild(li);
+        });
+
+        if (count) count.textContent = this.items.length;
+        root.hidden = this.items.length === 0;
+      });
+
+      document.dispatchEvent(new CustomEvent('saved-items:updated', { detail: { items: this.items } }));
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    window.SavedItems = new SavedItems();
+    window.SavedItemsBackends = { LocalStorageBackend, RemoteBackend };
+  });
+
+})();
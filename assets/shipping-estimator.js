@@ -0,0 +1,284 @@
+/**
+ * Shipping Estimator
+ * Cart page shipping rates (snippets/shipping-calc.liquid)
+ *
+ * Uses Shopify's two-step rates flow: POST prepare_shipping_rates.json
+ * starts the calculation, then async_shipping_rates.json is polled until
+ * the rates are ready. Results are cached per address and cart contents,
+ * and the last address is re-estimated whenever the cart changes.
+ *
+ * State lives here rather than in the markup, so the estimator survives
+ * the cart section re-rendering around it.
+ */
+
+(function() {
+  'use strict';
+
+  const ROUTES = {
+    prepare: '/cart/prepare_shipping_rates.json',
+    poll: '/cart/async_shipping_rates.json'
+  };
+
+  const POLL_INTERVAL = 500;
+  const POLL_ATTEMPTS = 20;
+  const REESTIMATE_DELAY = 400;
+
+  /**
+   * Error from the rates endpoints, e.g. { zip: ["is not valid for Canada"] }
+   */
+  class ShippingRatesError extends Error {
+    constructor(data = {}) {
+      const messages = Object.entries(data)
+        .filter(([, value]) => Array.isArray(value))
+        .map(([field, value]) => `${field.charAt(0).toUpperCase()}${field.slice(1)} ${value.join(', ')}`);
+
+      super(messages.join('. ') || data.error || '');
+      this.name = 'ShippingRatesError';
+    }
+  }
+
+  class ShippingEstimator {
+    constructor() {
+      this.address = null;
+      this.estimated = null;
+      this.expanded = false;
+      this.result = null;
+      this.cache = new Map();
+      this.token = 0;
+      this.reestimate = window.Theme.debounce(() => this.estimate(this.estimated), REESTIMATE_DELAY);
+
+      document.addEventListener('click', (e) => {
+        if (e.target.closest('[data-shipping-toggle]')) this.toggle();
+        if (e.target.closest('[data-shipping-submit]')) this.estimate(this.readAddress());
+      });
+
+      document.addEventListener('change', (e) => {
+        if (e.target.closest('[data-shipping-country]')) this.renderProvinces();
+        if (e.target.closest('[data-shipping-calc]')) this.address = this.readAddress();
+      });
+
+      document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' || !e.target.closest?.('[data-shipping-zip]')) return;
+
+        // Don't submit the cart form around the estimator
+        e.preventDefault();
+        this.estimate(this.readAddress());
+      });
+
+      // Confirmed cart changes invalidate the estimate
+      document.addEventListener('cart:updated', (e) => {
+        if (!this.estimated || e.detail.optimistic || e.detail.source === 'rollback') return;
+        this.reestimate();
+      });
+
+      // The cart page re-rendered: put our state back into the new markup
+      document.addEventListener('cart:rendered', () => this.restore());
+
+      this.restore();
+    }
+
+    getRoot() {
+      return document.querySelector('[data-shipping-calc]');
+    }
+
+    toggle() {
+      this.expanded = !this.expanded;
+      this.renderToggle();
+    }
+
+    readAddress() {
+      const root = this.getRoot();
+      if (!root) return this.address;
+
+      const provinceField = root.querySelector('[data-shipping-province-field]');
+
+      return {
+        country: root.querySelector('[data-shipping-country]').value,
+        province: provinceField.hidden ? '' : root.querySelector('[data-shipping-province]').value,
+        zip: root.querySelector('[data-shipping-zip]').value.trim()
+      };
+    }
+
+    /**
+     * Cache key: rates depend on the address and on what is in the cart
+     */
+    getCacheKey(address) {
+      const cart = window.CartStore.getState();
+      const contents = cart ? cart.items.map(item => `${item.key}:${item.quantity}`).join(',') + `|${cart.total_price}` : '';
+
+      return [address.country, address.province, address.zip.toUpperCase(), contents].join('|');
+    }
+
+    async estimate(address) {
+      if (!address || !this.getRoot()) return;
+
+      const token = ++this.token;
+      this.estimated = address;
+      this.address = address;
+
+      // Rates for an outdated cart are useless
+      await window.CartStore.whenIdle();
+      if (token !== this.token) return;
+
+      const key = this.getCacheKey(address);
+      if (this.cache.has(key)) {
+        this.setResult({ rates: this.cache.get(key) });
+        return;
+      }
+
+      this.setResult({ loading: true });
+
+      try {
+        const rates = await this.fetchRates(address, token);
+        if (token !== this.token) return;
+
+        this.cache.set(key, rates);
+        this.setResult({ rates });
+      } catch (error) {
+        if (token !== this.token) return;
+        this.setResult({ error: error.message || this.getRoot()?.dataset.errorText });
+      }
+    }
+
+    /**
+     * Start the calculation, then poll until Shopify has the rates
+     * @returns {Promise<Object[]>}
+     */
+    async fetchRates(address, token) {
+      const params = new URLSearchParams({
+        'shipping_address[country]': address.country,
+        'shipping_address[province]': address.province,
+        'shipping_address[zip]': address.zip
+      });
+
+      const prepare = await fetch(`${ROUTES.prepare}?${params}`, {
+        method: 'POST',
+        headers: { 'Accept': 'application/json' }
+      });
+      if (!prepare.ok) {
+        throw new ShippingRatesError(await prepare.json().catch(() => ({})));
+      }
+
+      for (let attempt = 0; attempt < POLL_ATTEMPTS; attempt++) {
+        if (token !== this.token) return [];
+
+        const response = await fetch(`${ROUTES.poll}?${params}`, {
+          headers: { 'Accept': 'application/json' }
+        });
+        const data = await response.json().catch(() => null);
+
+        // Still calculating: 202, or a 200 with a null body
+        if (!response.ok && response.status !== 202) throw new ShippingRatesError(data || {});
+        if (data?.shipping_rates) return data.shipping_rates;
+
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+      }
+
+      throw new ShippingRatesError();
+    }
+
+    setResult(result) {
+      this.result = result;
+      this.renderResult();
+    }
+
+    /**
+     * Re-apply address, open state and results to fresh markup
+     */
+    restore() {
+      const root = this.getRoot();
+      if (!root) return;
+
+      const address = this.address || {
+        country: root.dataset.defaultCountry,
+        province: root.dataset.defaultProvince,
+        zip: root.querySelector('[data-shipping-zip]').value
+      };
+
+      const countrySelect = root.querySelector('[data-shipping-country]');
+      if (address.country && countrySelect.querySelector(`option[value="${CSS.escape(address.country)}"]`)) {
+        countrySelect.value = address.country;
+      }
+      this.renderProvinces(address.province);
+      root.querySelector('[data-shipping-zip]').value = address.zip;
+
+      this.renderToggle();
+      this.renderResult();
+    }
+
+    /**
+     * Fill the province select from the selected country's data-provinces
+     * @param {string} [selected]
+     */
+    renderProvinces(selected) {
+      const root = this.getRoot();
+      if (!root) return;
+
+      const countrySelect = root.querySelector('[data-shipping-country]');
+      const provinceSelect = root.querySelector('[data-shipping-province]');
+      const option = countrySelect.options[countrySelect.selectedIndex];
+
+      let provinces = [];
+      try {
+        provinces = JSON.parse(option?.dataset.provinces || '[]');
+      } catch (error) {
+        // Treat malformed data as a country without provinces
+      }
+
+      provinceSelect.innerHTML = '';
+      provinces.forEach(([value, label]) => {
+        provinceSelect.add(new Option(label, value, false, value === selected));
+      });
+
+      root.querySelector('[data-shipping-province-field]').hidden = provinces.length === 0;
+    }
+
+    renderToggle() {
+      const root = this.getRoot();
+      if (!root) return;
+
+      root.querySelector('[data-shipping-toggle]').setAttribute('aria-expanded', this.expanded);
+      root.querySelector('[data-shipping-form]').hidden = !this.expanded;
+    }
+
+    renderResult() {
+      const root = this.getRoot();
+      if (!root || !this.result) return;
+
+      const results = root.querySelector('[data-shipping-results]');
+      const loading = root.querySelector('[data-shipping-loading]');
+      const ratesList = root.querySelector('[data-shipping-rates]');
+      const errorEl = root.querySelector('[data-shipping-error]');
+      const { rates, error } = this.result;
+
+      results.hidden = false;
+      loading.hidden = !this.result.loading;
+      root.querySelector('[data-shipping-loading-text]').textContent = root.dataset.loadingText;
+      ratesList.innerHTML = '';
+      errorEl.hidden = true;
+
+      if (error || (rates && rates.length === 0)) {
+        errorEl.textContent = error || root.dataset.noneText;
+        errorEl.hidden = false;
+        return;
+      }
+
+      (rates || []).forEach(rate => {
+        const cents = Math.round(parseFloat(rate.price) * 100);
+        const item = document.createElement('li');
+        item.className = 'shipping-rate';
+        item.innerHTML = '<span class="shipping-rate__name"></span><span class="shipping-rate__price"></span>';
+        item.querySelector('.shipping-rate__name').textContent = rate.presentment_name || rate.name;
+        item.querySelector('.shipping-rate__price').textContent = cents > 0
+          ? window.Theme.formatMoney(cents)
+          : root.dataset.freeText;
+        ratesList.appendChild(item);
+      });
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    window.shippingEstimator = new ShippingEstimator();
+  });
+
+})();
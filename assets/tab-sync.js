@@ -0,0 +1,93 @@
+/**
+ * Tab Sync
+ * Broadcasts state changes to the other open tabs of the storefront
+ *
+ * Uses BroadcastChannel where available and falls back to the storage
+ * event, which fires in every other tab when localStorage changes.
+ * Messages never echo back to the tab that sent them.
+ *
+ * Topics in use:
+ * - cart   Confirmed cart object (published by CartStore)
+ * - quote  Quote items or history changed (published by QuoteStore)
+ * - saved  Saved-for-later list changed (published by SavedItems)
+ */
+
+(function() {
+  'use strict';
+
+  const CHANNEL_NAME = 'reaxing-tab-sync';
+  const STORAGE_KEY = 'reaxing-tab-sync';
+
+  class TabSync {
+    constructor() {
+      this.listeners = new Map();
+      this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+      if ('BroadcastChannel' in window) {
+        this.channel = new BroadcastChannel(CHANNEL_NAME);
+        this.channel.addEventListener('message', (e) => this.receive(e.data));
+      } else {
+        window.addEventListener('storage', (e) => {
+          if (e.key !== STORAGE_KEY || !e.newValue) return;
+
+          try {
+            this.receive(JSON.parse(e.newValue));
+          } catch (error) {
+            // Ignore malformed messages
+          }
+        });
+      }
+    }
+
+    /**
+     * Send a message to every other tab
+     * @param {string} topic
+     * @param {*} payload - Must be structured-cloneable / JSON-serializable
+     */
+    publish(topic, payload = null) {
+      const message = { topic, payload, tabId: this.tabId, time: Date.now() };
+
+      if (this.channel) {
+        this.channel.postMessage(message);
+        return;
+      }
+
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+      } catch (error) {
+        // Storage full or disabled; other tabs catch up on their next load
+      }
+    }
+
+    /**
+     * Listen for messages from other tabs
+     * @param {string} topic
+     * @param {Function} callback - Receives the payload
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(topic, callback) {
+      if (!this.listeners.has(topic)) this.listeners.set(topic, new Set());
+      this.listeners.get(topic).add(callback);
+
+      return () => this.listeners.get(topic).delete(callback);
+    }
+
+    receive(message) {
+      if (!message || message.tabId === this.tabId) return;
+
+      const callbacks = this.listeners.get(message.topic);
+      if (!callbacks) return;
+
+      callbacks.forEach(callback => {
+        try {
+          callback(message.payload);
+        } catch (error) {
+          console.error('Tab sync listener error:', error);
+        }
+      });
+    }
+  }
+
+  window.TabSync = new TabSync();
+
+})();